@@ -0,0 +1,133 @@
+import { Component } from '@theme/component';
+import { CartAddEvent, CartErrorEvent } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
+import { CartMutationQueuedError } from '@theme/cart-mutation-queue';
+import { formatMoney } from '@theme/money-formatting';
+
+// How long the added message stays in the live region
+const ADDED_MESSAGE_DURATION = 5000;
+
+/**
+ * @typedef {object} CartItem
+ * @property {number} id - The variant ID
+ * @property {number} quantity - The quantity to add
+ * @property {Record<string, string>} [properties] - The line item properties
+ */
+
+/**
+ * @typedef {object} AddItemsRefs
+ * @property {HTMLButtonElement} [addButton] - The add to cart button.
+ * @property {HTMLElement} [error] - The error message.
+ * @property {HTMLElement} [liveRegion] - The live region.
+ */
+
+/**
+ * The base of the components that add several items to the cart in a single request,
+ * like the bundle builder and the frequently bought together block.
+ *
+ * @template {AddItemsRefs & import('./component').Refs} [T=AddItemsRefs]
+ * @extends {Component<T>}
+ */
+export class AddItemsComponent extends Component {
+  /** @type {number | undefined} */
+  #liveRegionTimeout;
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    clearTimeout(this.#liveRegionTimeout);
+  }
+
+  /**
+   * Adds items to the cart in a single request, then dispatches a `CartAddEvent` with the new cart
+   * @param {CartItem[]} items - The items to add
+   * @param {{ source: string, productId?: string }} data - Where the items were added from, for the event
+   * @returns {Promise<boolean>} Whether the items were added
+   */
+  async addItems(items, data) {
+    const { addButton, error } = this.refs;
+
+    /** @type {Set<string>} */
+    const sectionIds = new Set();
+    document.querySelectorAll('cart-items-component').forEach((cartItems) => {
+      if (cartItems instanceof HTMLElement && cartItems.dataset.sectionId) {
+        sectionIds.add(cartItems.dataset.sectionId);
+      }
+    });
+
+    if (addButton) addButton.disabled = true;
+    if (error) error.hidden = true;
+
+    try {
+      const response = await cartStore.add({ items, sections: Array.from(sectionIds).join(',') });
+
+      if (response.status) {
+        this.dispatchEvent(new CartErrorEvent(this.id, response.message, response.description, response.errors));
+        this.showError(response.message);
+        return false;
+      }
+
+      this.setLiveRegionText(this.dataset.addedText || Theme.translations.added || '');
+
+      const cart = await cartStore.get();
+
+      this.dispatchEvent(
+        new CartAddEvent(cart, this.id, {
+          ...data,
+          itemCount: items.reduce((count, item) => count + item.quantity, 0),
+          sections: response.sections,
+        })
+      );
+
+      return true;
+    } catch (error) {
+      if (error instanceof CartMutationQueuedError) {
+        // The items are added once the connection is back
+        this.showError(Theme.translations.cart_mutation_queued);
+      } else {
+        console.error(error);
+      }
+
+      return false;
+    } finally {
+      if (addButton) addButton.disabled = false;
+    }
+  }
+
+  /**
+   * @param {number} amount - The amount in minor units
+   * @returns {string} The formatted amount
+   */
+  formatMoney(amount) {
+    // The currency is switched on the element as soon as the prices of the page are converted, the cart follows later
+    const currency = this.dataset.currency || cartStore.cart?.currency || Shopify.currency.active;
+
+    return formatMoney(amount, this.dataset.moneyFormat || '{{amount}}', currency);
+  }
+
+  /**
+   * @param {string} message - The message to show
+   */
+  showError(message) {
+    const { error } = this.refs;
+    if (!error) return;
+
+    error.textContent = message;
+    error.hidden = false;
+  }
+
+  /**
+   * @param {string} text - The text to announce
+   */
+  setLiveRegionText(text) {
+    const { liveRegion } = this.refs;
+    if (!liveRegion) return;
+
+    liveRegion.textContent = text;
+
+    clearTimeout(this.#liveRegionTimeout);
+    this.#liveRegionTimeout = setTimeout(() => {
+      liveRegion.textContent = '';
+    }, ADDED_MESSAGE_DURATION);
+  }
+}
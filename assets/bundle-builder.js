@@ -0,0 +1,171 @@
+import { AddItemsComponent } from '@theme/add-items-component';
+import { ThemeEvents, VariantUpdateEvent, CurrencyUpdateEvent } from '@theme/events';
+import { convertAmount } from '@theme/currency-conversion';
+
+/**
+ * @typedef {object} BundleVariant
+ * @property {number} id - The variant ID
+ * @property {number} price - The price, in minor units
+ * @property {boolean} available - Whether the variant can be bought
+ */
+
+/**
+ * A custom element that lets shoppers pick a variant of each product in a bundle and add them to the cart together.
+ * The bundle lines share a `_bundle_id` property, so the cart can group them.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement[]} items - The bundle items.
+ * @property {HTMLElement[]} itemPrices - The price of each item.
+ * @property {HTMLElement} compareTotal - The total before the bundle discount.
+ * @property {HTMLElement} total - The total after the bundle discount.
+ * @property {HTMLElement} savings - The bundle discount.
+ * @property {HTMLButtonElement} addButton - The add to cart button.
+ * @property {HTMLElement} error - The error message.
+ * @property {HTMLElement} liveRegion - The live region.
+ *
+ * @extends {AddItemsComponent<Refs>}
+ */
+class BundleBuilderComponent extends AddItemsComponent {
+  requiredRefs = ['items', 'itemPrices', 'compareTotal', 'total', 'savings', 'addButton', 'error', 'liveRegion'];
+
+  /**
+   * The selected variant of each item
+   * @type {Map<HTMLElement, BundleVariant | null>}
+   */
+  #variants = new Map();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    for (const item of this.refs.items) {
+      this.#variants.set(item, parseVariant(item.querySelector('variant-picker script[type="application/json"]')));
+    }
+
+    this.addEventListener(ThemeEvents.variantSelected, this.#handleVariantSelected);
+    this.addEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate);
+    document.addEventListener(ThemeEvents.currencyUpdate, this.#handleCurrencyUpdate);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.removeEventListener(ThemeEvents.variantSelected, this.#handleVariantSelected);
+    this.removeEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate);
+    document.removeEventListener(ThemeEvents.currencyUpdate, this.#handleCurrencyUpdate);
+  }
+
+  /**
+   * The bundle pickers are independent from the product the section is about, so their events stop here.
+   * @param {Event} event - The variant selected event
+   */
+  #handleVariantSelected = (event) => {
+    event.stopPropagation();
+
+    // The price is unknown until the variant is loaded
+    this.refs.addButton.disabled = true;
+  };
+
+  /**
+   * @param {VariantUpdateEvent} event - The variant update event
+   */
+  #handleVariantUpdate = (event) => {
+    event.stopPropagation();
+
+    const item = this.refs.items.find((item) => event.target instanceof Node && item.contains(event.target));
+    if (!item) return;
+
+    const variant = /** @type {BundleVariant | null} */ (/** @type {unknown} */ (event.detail.resource));
+    this.#variants.set(item, variant);
+    this.#render();
+  };
+
+  /**
+   * Converts the prices of the selected variants when the prices of the page are converted to another currency
+   * @param {CurrencyUpdateEvent} event - The currency update event
+   */
+  #handleCurrencyUpdate = (event) => {
+    const { from, to } = event.detail;
+
+    for (const item of this.refs.items) {
+      const variant = this.#variants.get(item);
+      if (variant) this.#variants.set(item, { ...variant, price: convertAmount(variant.price, from, to) });
+    }
+
+    this.#render();
+  };
+
+  /**
+   * Updates the item prices and the bundle total
+   */
+  #render() {
+    const { items, itemPrices, compareTotal, total, savings, addButton } = this.refs;
+    const discount = Number(this.dataset.discount) || 0;
+
+    let bundleTotal = 0;
+    let available = true;
+
+    items.forEach((item, index) => {
+      const variant = this.#variants.get(item);
+      const itemPrice = itemPrices[index];
+
+      if (!variant?.available) available = false;
+      if (variant) bundleTotal += variant.price;
+      if (!itemPrice) return;
+
+      itemPrice.textContent = variant?.available ? this.formatMoney(variant.price) : this.dataset.soldOutText || '';
+    });
+
+    const discountedTotal = Math.round((bundleTotal * (100 - discount)) / 100);
+    const bundleSavings = bundleTotal - discountedTotal;
+
+    compareTotal.textContent = this.formatMoney(bundleTotal);
+    compareTotal.hidden = bundleSavings === 0;
+    total.textContent = this.formatMoney(discountedTotal);
+    savings.textContent = (this.dataset.savingsText || '').replace('{{ amount }}', this.formatMoney(bundleSavings));
+    savings.hidden = bundleSavings === 0;
+    addButton.disabled = !available;
+  }
+
+  /**
+   * Adds the selected variant of every item to the cart in a single request
+   */
+  async addToCart() {
+    const variants = this.refs.items.map((item) => this.#variants.get(item));
+    if (variants.some((variant) => !variant?.available)) return;
+
+    const bundleId = createBundleId();
+
+    await this.addItems(
+      variants.map((variant) => ({
+        id: /** @type {BundleVariant} */ (variant).id,
+        quantity: 1,
+        properties: { _bundle_id: bundleId },
+      })),
+      { source: 'bundle-builder' }
+    );
+  }
+}
+
+/**
+ * @param {Element | null} script - The script element that holds the variant JSON
+ * @returns {BundleVariant | null} The variant
+ */
+function parseVariant(script) {
+  try {
+    return JSON.parse(script?.textContent || 'null');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @returns {string} An ID that is unique to the bundle added to the cart
+ */
+function createBundleId() {
+  return `bundle-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+if (!customElements.get('bundle-builder-component')) {
+  customElements.define('bundle-builder-component', BundleBuilderComponent);
+}
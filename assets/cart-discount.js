@@ -1,8 +1,9 @@
 import { Component } from '@theme/component';
 import { morphSection } from '@theme/section-renderer';
 import { DiscountUpdateEvent } from '@theme/events';
-import { fetchConfig } from '@theme/utilities';
 import { cartPerformance } from '@theme/performance';
+import { cartStore } from '@theme/cart-store';
+import { CartMutationQueuedError } from '@theme/cart-mutation-queue';
 
 /**
  * A custom element that applies a discount to the cart.
@@ -11,6 +12,7 @@ import { cartPerformance } from '@theme/performance';
  * @property {HTMLElement} cartDiscountError - The error element.
  * @property {HTMLElement} cartDiscountErrorDiscountCode - The discount code error element.
  * @property {HTMLElement} cartDiscountErrorShipping - The shipping error element.
+ * @property {HTMLElement} [cartDiscountErrorQueued] - The element telling the discount is applied once back online.
  */
 
 /**
@@ -37,7 +39,8 @@ class CartDiscount extends Component {
    * @param {SubmitEvent} event - The submit event on our form.
    */
   applyDiscount = async (event) => {
-    const { cartDiscountError, cartDiscountErrorDiscountCode, cartDiscountErrorShipping } = this.refs;
+    const { cartDiscountError, cartDiscountErrorDiscountCode, cartDiscountErrorShipping, cartDiscountErrorQueued } =
+      this.refs;
 
     event.preventDefault();
     event.stopPropagation();
@@ -59,20 +62,15 @@ class CartDiscount extends Component {
       cartDiscountError.classList.add('hidden');
       cartDiscountErrorDiscountCode.classList.add('hidden');
       cartDiscountErrorShipping.classList.add('hidden');
+      cartDiscountErrorQueued?.classList.add('hidden');
 
-      const config = fetchConfig('json', {
-        body: JSON.stringify({
+      const data = await cartStore.update(
+        {
           discount: [...existingDiscounts, discountCodeValue].join(','),
           sections: [this.dataset.sectionId],
-        }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
-
-      const data = await response.json();
+        },
+        { signal: abortController.signal }
+      );
 
       if (
         data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
@@ -111,6 +109,7 @@ class CartDiscount extends Component {
       document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
       morphSection(this.dataset.sectionId, newHtml);
     } catch (error) {
+      if (error instanceof CartMutationQueuedError) this.#handleDiscountError('queued');
     } finally {
       this.#activeFetch = null;
       cartPerformance.measureFromEvent('discount-update:user-action', event);
@@ -149,20 +148,15 @@ class CartDiscount extends Component {
     const abortController = this.#createAbortController();
 
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ discount: existingDiscounts.join(','), sections: [this.dataset.sectionId] }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
-
-      const data = await response.json();
+      const data = await cartStore.update(
+        { discount: existingDiscounts.join(','), sections: [this.dataset.sectionId] },
+        { signal: abortController.signal }
+      );
 
       document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
       morphSection(this.dataset.sectionId, data.sections[this.dataset.sectionId]);
     } catch (error) {
+      if (error instanceof CartMutationQueuedError) this.#handleDiscountError('queued');
     } finally {
       this.#activeFetch = null;
     }
@@ -171,13 +165,26 @@ class CartDiscount extends Component {
   /**
    * Handles the discount error.
    *
-   * @param {'discount_code' | 'shipping'} type - The type of discount error.
+   * @param {'discount_code' | 'shipping' | 'queued'} type - The type of discount error.
    */
   #handleDiscountError(type) {
-    const { cartDiscountError, cartDiscountErrorDiscountCode, cartDiscountErrorShipping } = this.refs;
-    const target = type === 'discount_code' ? cartDiscountErrorDiscountCode : cartDiscountErrorShipping;
+    const { cartDiscountError, cartDiscountErrorDiscountCode, cartDiscountErrorShipping, cartDiscountErrorQueued } =
+      this.refs;
+
+    if (type === 'queued') {
+      if (!cartDiscountErrorQueued) return;
+
+      // The discount is sent once the connection is back
+      cartDiscountErrorQueued.textContent = Theme.translations.cart_mutation_queued;
+    }
+
+    const targets = {
+      discount_code: cartDiscountErrorDiscountCode,
+      shipping: cartDiscountErrorShipping,
+      queued: cartDiscountErrorQueued,
+    };
     cartDiscountError.classList.remove('hidden');
-    target.classList.remove('hidden');
+    targets[type]?.classList.remove('hidden');
   }
 
   /**
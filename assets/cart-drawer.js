@@ -1,5 +1,6 @@
 import { DialogComponent, DialogOpenEvent } from '@theme/dialog';
 import { CartAddEvent } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
 
 /**
  * A custom element that manages a cart drawer.
@@ -25,7 +26,16 @@ class CartDrawerComponent extends DialogComponent {
     this.removeEventListener(DialogOpenEvent.eventName, this.#updateStickyState);
   }
 
-  #handleCartAdd = () => {
+  /**
+   * @param {CartAddEvent} event - The cart add event
+   */
+  #handleCartAdd = (event) => {
+    // Don't pop an empty drawer open, e.g. after removing everything from a quick order list
+    if (cartStore.cart?.item_count === 0) return;
+
+    // Changes made in another tab only refresh the drawer's content
+    if (event.detail.data.source === 'cart-sync') return;
+
     if (this.hasAttribute('auto-open')) {
       this.showDialog();
     }
@@ -0,0 +1,298 @@
+import { CartAddEvent, CartErrorEvent, CartUpdateEvent } from '@theme/events';
+import { onDocumentLoaded } from '@theme/utilities';
+
+// The key used to persist the queue in local storage, shared by the tabs of the store
+const STORAGE_KEY = 'cart-mutation-queue';
+
+// The lock held by the one tab replaying the queue. Every browser supporting import maps supports Web Locks.
+const LOCK_NAME = 'cart-mutation-queue';
+
+// The source ID of the events dispatched when mutations are replayed
+const SOURCE_ID = 'cart-mutation-queue';
+
+// Delay before the first retry, doubled after every failed attempt
+const INITIAL_RETRY_DELAY = 1000;
+
+// Upper bound for the retry delay
+const MAX_RETRY_DELAY = 30000;
+
+/**
+ * @typedef {'add' | 'change' | 'update'} CartMutationType
+ */
+
+/**
+ * @typedef {Object} QueuedCartMutation
+ * @property {string} id - A unique ID for the mutation
+ * @property {CartMutationType} type - The cart endpoint the mutation is sent to
+ * @property {Object | Array<[string, string]>} body - The JSON body, or the entries of a FormData body
+ * @property {boolean} isFormData - Whether the body was sent as FormData
+ * @property {Record<string, string>} [headers] - Additional request headers
+ * @property {number} queuedAt - When the mutation was queued
+ */
+
+/**
+ * @callback CartMutationSender
+ * @param {CartMutationType} type - The cart endpoint to send the mutation to
+ * @param {FormData | Object} body - The request body
+ * @param {Record<string, string> | undefined} headers - Additional request headers
+ * @returns {Promise<any>} The response from the server
+ */
+
+/**
+ * Thrown in place of a network error when a cart mutation was queued to be replayed once the connection is back.
+ */
+export class CartMutationQueuedError extends Error {
+  /**
+   * @param {CartMutationType} type - The type of the queued mutation
+   */
+  constructor(type) {
+    super(`Cart ${type} request queued until the connection is restored`);
+    this.name = 'CartMutationQueuedError';
+  }
+}
+
+/**
+ * Thrown when a cart request couldn't reach the server, because `fetch` rejected or the browser is offline.
+ */
+export class CartNetworkError extends Error {
+  /**
+   * @param {unknown} [cause] - The error `fetch` rejected with
+   */
+  constructor(cause) {
+    super('The cart request could not reach the server');
+    this.name = 'CartNetworkError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Checks whether an error was caused by the network rather than by the server rejecting the request or a bug.
+ * @param {unknown} error - The error to check
+ * @returns {boolean} Whether the error is a network error
+ */
+export function isNetworkError(error) {
+  return error instanceof CartNetworkError;
+}
+
+/**
+ * Persists cart mutations that failed because of the network and replays them, in order, once the connection is back.
+ * Mutations the server rejects on replay are dropped and surfaced as `CartErrorEvent`s.
+ *
+ * The queue is shared by the tabs of the store: only the tab holding the lock replays it, and every tab re-reads it
+ * from storage before changing it, so no mutation is sent twice or lost.
+ */
+export class CartMutationQueue {
+  /** @type {CartMutationSender} */
+  #send;
+
+  /** @type {QueuedCartMutation[]} */
+  #mutations = [];
+
+  /** @type {Promise<void> | null} */
+  #flushing = null;
+
+  /** @type {number | undefined} */
+  #retryTimeout;
+
+  /** @type {number} */
+  #attempt = 0;
+
+  /**
+   * @param {CartMutationSender} send - Sends a mutation to the server
+   */
+  constructor(send) {
+    this.#send = send;
+    this.#mutations = this.#load();
+
+    window.addEventListener('online', this.#handleOnline);
+    window.addEventListener('storage', this.#handleStorage);
+
+    // Replay whatever was left over by a previous page
+    onDocumentLoaded(() => {
+      if (this.size && navigator.onLine) this.flush();
+    });
+  }
+
+  /**
+   * The number of mutations waiting to be replayed
+   * @returns {number}
+   */
+  get size() {
+    return this.#mutations.length;
+  }
+
+  /**
+   * Adds a mutation to the end of the queue and schedules a retry
+   * @param {CartMutationType} type - The cart endpoint the mutation is sent to
+   * @param {FormData | Object} body - The request body
+   * @param {Record<string, string>} [headers] - Additional request headers
+   */
+  enqueue(type, body, headers) {
+    const isFormData = body instanceof FormData;
+
+    // Other tabs may have queued or replayed mutations since this one last read the queue
+    this.#mutations = [
+      ...this.#load(),
+      {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+        type,
+        body: isFormData ? [...body.entries()].map(([key, value]) => [key, String(value)]) : body,
+        isFormData,
+        headers,
+        queuedAt: Date.now(),
+      },
+    ];
+
+    this.#save();
+    this.#scheduleRetry();
+  }
+
+  /**
+   * Replays the queued mutations in order. Concurrent calls share the same run.
+   * @returns {Promise<void>} Resolves when the queue is empty, the network failed again or another tab is replaying it
+   */
+  flush() {
+    this.#flushing ??= this.#replayOnce().finally(() => {
+      this.#flushing = null;
+    });
+
+    return this.#flushing;
+  }
+
+  /**
+   * Replays the queue unless another tab is already replaying it
+   */
+  async #replayOnce() {
+    await navigator.locks.request(LOCK_NAME, { ifAvailable: true }, async (lock) => {
+      if (lock) {
+        await this.#replay();
+      } else if (this.size) {
+        // Another tab is replaying the queue, try again in case it's closed before it's done
+        this.#scheduleRetry();
+      }
+    });
+  }
+
+  async #replay() {
+    clearTimeout(this.#retryTimeout);
+
+    // Another tab may have replayed the queue since this one last read it
+    this.#mutations = this.#load();
+
+    while (this.#mutations.length) {
+      const mutation = /** @type {QueuedCartMutation} */ (this.#mutations[0]);
+
+      /** @type {any} */
+      let data;
+
+      try {
+        data = await this.#send(mutation.type, toRequestBody(mutation), mutation.headers);
+      } catch (error) {
+        if (isNetworkError(error)) {
+          this.#scheduleRetry();
+          return;
+        }
+
+        data = { status: 'error', message: error instanceof Error ? error.message : String(error) };
+      }
+
+      // Other tabs may have queued mutations while this one was sent
+      this.#mutations = this.#load().filter(({ id }) => id !== mutation.id);
+      this.#save();
+      this.#attempt = 0;
+
+      if (data.status || data.errors) {
+        document.dispatchEvent(
+          new CartErrorEvent(SOURCE_ID, data.message ?? data.errors, data.description, data.errors)
+        );
+      } else if (mutation.type === 'add') {
+        document.dispatchEvent(new CartAddEvent(data, SOURCE_ID, { source: SOURCE_ID, sections: data.sections }));
+      } else {
+        document.dispatchEvent(
+          new CartUpdateEvent(data, SOURCE_ID, {
+            source: SOURCE_ID,
+            itemCount: data.item_count,
+            sections: data.sections,
+          })
+        );
+      }
+    }
+  }
+
+  /**
+   * Retries with an exponential backoff
+   */
+  #scheduleRetry() {
+    clearTimeout(this.#retryTimeout);
+
+    const delay = Math.min(INITIAL_RETRY_DELAY * 2 ** this.#attempt, MAX_RETRY_DELAY);
+    this.#attempt++;
+
+    this.#retryTimeout = setTimeout(() => {
+      if (navigator.onLine) {
+        this.flush();
+      } else {
+        this.#scheduleRetry();
+      }
+    }, delay);
+  }
+
+  #handleOnline = () => {
+    this.#attempt = 0;
+    this.flush();
+  };
+
+  /**
+   * Picks up the mutations queued or replayed by other tabs
+   * @param {StorageEvent} event - The storage event
+   */
+  #handleStorage = (event) => {
+    if (event.key !== STORAGE_KEY && event.key !== null) return;
+
+    this.#mutations = this.#load();
+
+    if (!this.size) {
+      clearTimeout(this.#retryTimeout);
+      this.#attempt = 0;
+    }
+  };
+
+  /**
+   * @returns {QueuedCartMutation[]} The mutations persisted by this tab, another one or a previous page
+   */
+  #load() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    } catch (_) {
+      return [];
+    }
+  }
+
+  #save() {
+    try {
+      if (this.#mutations.length) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.#mutations));
+      } else {
+        localStorage.removeItem(STORAGE_KEY);
+      }
+    } catch (_) {
+      // Storage is full or unavailable, the queue still works for the current page
+    }
+  }
+}
+
+/**
+ * Rebuilds the request body of a queued mutation
+ * @param {QueuedCartMutation} mutation - The queued mutation
+ * @returns {FormData | Object} The request body
+ */
+function toRequestBody(mutation) {
+  if (!mutation.isFormData || !Array.isArray(mutation.body)) return mutation.body;
+
+  const formData = new FormData();
+  for (const [key, value] of mutation.body) {
+    formData.append(key, value);
+  }
+
+  return formData;
+}
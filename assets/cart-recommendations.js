@@ -0,0 +1,163 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { cartStore, isCart } from '@theme/cart-store';
+
+// The section rendered by the product recommendations endpoint for each product in the cart
+const SECTION_ID = 'cart-recommendations';
+
+// The number of cart products that recommendations are fetched for, most recently added first
+const MAX_SOURCE_PRODUCTS = 3;
+
+/**
+ * A custom element that recommends products that go with the items in the cart.
+ * Complementary products are shown when they're set up, related products otherwise.
+ * Products that are already in the cart are left out.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} list - The container of the recommended products.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartRecommendationsComponent extends Component {
+  requiredRefs = ['list'];
+
+  /**
+   * The cached recommendations, by URL
+   * @type {Map<string, Promise<Element[]>>}
+   */
+  #cachedRecommendations = new Map();
+
+  /**
+   * The IDs of the cart products the recommendations were last rendered for
+   * @type {string | null}
+   */
+  #renderedFor = null;
+
+  /** @type {AbortController | null} */
+  #activeRender = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    this.#render(this.dataset.productIds?.split(',').filter(Boolean) ?? []);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    this.#activeRender?.abort();
+  }
+
+  /**
+   * @param {Event & { detail?: { resource?: unknown } }} event - The cart update event
+   */
+  #handleCartUpdate = async (event) => {
+    const resource = event.detail?.resource;
+
+    try {
+      // Events without a full cart, like failed adds, share the refresh of the store
+      const cart = isCart(resource) ? resource : await cartStore.refresh();
+
+      this.#render([...new Set(cart.items.map((item) => String(item.product_id)))]);
+    } catch (error) {
+      console.error('Failed to load the cart:', error);
+    }
+  };
+
+  /**
+   * Renders the products recommended for the cart products
+   * @param {string[]} cartProductIds - The IDs of the products in the cart, most recently added first
+   */
+  async #render(cartProductIds) {
+    const key = cartProductIds.join(',');
+    if (key === this.#renderedFor) return;
+
+    this.#activeRender?.abort();
+    const abortController = new AbortController();
+    this.#activeRender = abortController;
+
+    const sourceIds = cartProductIds.slice(0, MAX_SOURCE_PRODUCTS);
+    const maxProducts = Number(this.dataset.maxProducts) || 4;
+
+    let items = await this.#getRecommendations(sourceIds, cartProductIds, maxProducts, 'complementary');
+    if (items.length === 0) {
+      items = await this.#getRecommendations(sourceIds, cartProductIds, maxProducts, 'related');
+    }
+
+    if (abortController.signal.aborted) return;
+
+    const list = document.createElement('ul');
+    list.className = 'cart-recommendations__list list-unstyled';
+    list.append(...items.map((item) => document.importNode(item, true)));
+
+    this.refs.list.replaceChildren(list);
+    this.#renderedFor = key;
+    this.hidden = items.length === 0;
+  }
+
+  /**
+   * Merges the recommendations for each source product, in turn, until there are enough of them
+   * @param {string[]} sourceIds - The IDs of the products to get recommendations for
+   * @param {string[]} excludedIds - The IDs of the products to leave out
+   * @param {number} limit - The maximum number of recommendations
+   * @param {'complementary' | 'related'} intent - The kind of recommendations
+   * @returns {Promise<Element[]>} The recommended product list items
+   */
+  async #getRecommendations(sourceIds, excludedIds, limit, intent) {
+    const lists = await Promise.all(sourceIds.map((id) => this.#fetchRecommendations(id, limit, intent)));
+
+    /** @type {Map<string, Element>} */
+    const items = new Map();
+    const longest = Math.max(0, ...lists.map((list) => list.length));
+
+    for (let index = 0; index < longest && items.size < limit; index++) {
+      for (const list of lists) {
+        const item = list[index];
+        const productId = item instanceof HTMLElement ? item.dataset.productId : undefined;
+        if (!item || !productId || excludedIds.includes(productId) || items.has(productId)) continue;
+
+        items.set(productId, item);
+        if (items.size === limit) break;
+      }
+    }
+
+    return [...items.values()];
+  }
+
+  /**
+   * @param {string} productId - The ID of the product to get recommendations for
+   * @param {number} limit - The maximum number of recommendations
+   * @param {'complementary' | 'related'} intent - The kind of recommendations
+   * @returns {Promise<Element[]>} The recommended product list items
+   */
+  #fetchRecommendations(productId, limit, intent) {
+    const url = new URL(this.dataset.url || '', window.location.origin);
+    url.searchParams.set('product_id', productId);
+    // Leave room for the recommendations that are already in the cart
+    url.searchParams.set('limit', (limit + MAX_SOURCE_PRODUCTS).toString());
+    url.searchParams.set('intent', intent);
+    url.searchParams.set('section_id', SECTION_ID);
+
+    const cached = this.#cachedRecommendations.get(url.toString());
+    if (cached) return cached;
+
+    const request = fetch(url)
+      .then((response) => (response.ok ? response.text() : ''))
+      .then((html) => [
+        ...new DOMParser().parseFromString(html, 'text/html').querySelectorAll('.cart-recommendations__item'),
+      ])
+      .catch((error) => {
+        console.error('Cart recommendations error:', error.message);
+        return [];
+      });
+
+    this.#cachedRecommendations.set(url.toString(), request);
+    return request;
+  }
+}
+
+if (!customElements.get('cart-recommendations-component')) {
+  customElements.define('cart-recommendations-component', CartRecommendationsComponent);
+}
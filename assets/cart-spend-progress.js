@@ -0,0 +1,191 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
+import { convertMoneyToMinorUnits, formatMoney } from '@theme/money-formatting';
+
+/**
+ * @typedef {object} SpendThreshold
+ * @property {number} amount - The amount to spend, in the shop's currency
+ * @property {string} reward - What the customer gets when the amount is reached
+ */
+
+/**
+ * A custom element that shows the progress of the cart total towards the spend thresholds set in the theme settings.
+ * Reaching a threshold is announced to screen readers.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} liveRegion - The live region.
+ * @property {HTMLElement} message - The progress message.
+ * @property {HTMLElement} track - The track of the progress bar.
+ * @property {HTMLElement} bar - The progress bar.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartSpendProgressComponent extends Component {
+  requiredRefs = ['liveRegion', 'message', 'track', 'bar'];
+
+  /**
+   * The thresholds in the active currency's minor units, lowest first
+   * @type {{ amount: number, reward: string }[]}
+   */
+  #thresholds = [];
+
+  /**
+   * The number of thresholds the cart total had reached when it was last rendered
+   * @type {number}
+   */
+  #reachedCount = 0;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#thresholds = this.#parseThresholds();
+    this.#renderMarkers();
+
+    const total = Number(this.dataset.total) || 0;
+    this.#reachedCount = this.#getReachedCount(total);
+    this.#render(total);
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.addEventListener(ThemeEvents.currencyUpdate, this.#handleCurrencyUpdate);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.removeEventListener(ThemeEvents.currencyUpdate, this.#handleCurrencyUpdate);
+  }
+
+  get #currency() {
+    return cartStore.cart?.currency || this.dataset.currency || Shopify.currency.active;
+  }
+
+  /**
+   * Converts the thresholds from the shop's currency to the active one
+   * @returns {{ amount: number, reward: string }[]}
+   */
+  #parseThresholds() {
+    /** @type {SpendThreshold[]} */
+    const thresholds = JSON.parse(this.dataset.thresholds || '[]');
+    const rate = Number(Shopify.currency?.rate) || 1;
+
+    return thresholds
+      .map(({ amount, reward }) => ({
+        amount: convertMoneyToMinorUnits((amount * rate).toFixed(2), this.#currency) ?? 0,
+        reward,
+      }))
+      .filter(({ amount }) => amount > 0)
+      .sort((a, b) => a.amount - b.amount);
+  }
+
+  /**
+   * @param {CustomEvent} event - The cart update event
+   */
+  #handleCartUpdate = (event) => {
+    const resource = event.detail?.resource;
+    const total = typeof resource?.total_price === 'number' ? resource.total_price : cartStore.cart?.total_price;
+    if (typeof total !== 'number') return;
+
+    const reachedCount = this.#getReachedCount(total);
+
+    if (reachedCount > this.#reachedCount) {
+      const threshold = this.#thresholds[reachedCount - 1];
+      if (threshold) this.#setLiveRegionText(this.#formatMessage(this.dataset.reachedText, threshold));
+    } else {
+      this.#clearLiveRegionText();
+    }
+
+    this.#reachedCount = reachedCount;
+    this.#render(total);
+  };
+
+  /**
+   * Converts the thresholds with the rate of the new currency and shows the progress of the cart in it.
+   * The carts are rendered again after a currency switch, but this element skips morph updates so it stays as is.
+   */
+  #handleCurrencyUpdate = async () => {
+    try {
+      const cart = await cartStore.refresh();
+
+      this.#thresholds = this.#parseThresholds();
+      this.#renderMarkers();
+      this.#reachedCount = this.#getReachedCount(cart.total_price);
+      this.#render(cart.total_price);
+    } catch (error) {
+      console.error('Failed to show the spend progress in the new currency:', error);
+    }
+  };
+
+  /**
+   * @param {number} total - The cart total in minor units
+   * @returns {number} The number of thresholds the total reaches
+   */
+  #getReachedCount(total) {
+    return this.#thresholds.filter(({ amount }) => total >= amount).length;
+  }
+
+  /**
+   * Marks where each threshold is on the progress bar
+   */
+  #renderMarkers() {
+    const { track, bar } = this.refs;
+    const highest = this.#thresholds[this.#thresholds.length - 1];
+    if (!highest) return;
+
+    track.replaceChildren(
+      bar,
+      ...this.#thresholds.map(({ amount }) => {
+        const marker = document.createElement('span');
+        marker.className = 'cart-spend-progress__marker';
+        marker.style.setProperty('--position', (amount / highest.amount).toString());
+        return marker;
+      })
+    );
+  }
+
+  /**
+   * @param {number} total - The cart total in minor units
+   */
+  #render(total) {
+    const highest = this.#thresholds[this.#thresholds.length - 1];
+    this.hidden = !highest;
+    if (!highest) return;
+
+    const next = this.#thresholds.find(({ amount }) => total < amount);
+
+    this.refs.bar.style.setProperty('--progress', Math.min(total / highest.amount, 1).toString());
+    this.refs.message.textContent = next
+      ? this.#formatMessage(this.dataset.remainingText, next, next.amount - total)
+      : this.#formatMessage(this.dataset.reachedText, highest);
+  }
+
+  /**
+   * @param {string | undefined} text - The translated message, with `{{ amount }}` and `{{ reward }}` placeholders
+   * @param {{ amount: number, reward: string }} threshold - The threshold the message is about
+   * @param {number} [remaining] - The amount left to spend, in minor units
+   * @returns {string} The message
+   */
+  #formatMessage(text = '', threshold, remaining = 0) {
+    const amount = formatMoney(remaining, this.dataset.moneyFormat || '{{amount}}', this.#currency);
+
+    return text.replace('{{ amount }}', amount).replace('{{ reward }}', threshold.reward);
+  }
+
+  /**
+   * @param {string} text - The text to announce
+   */
+  #setLiveRegionText(text) {
+    const liveRegion = this.refs.liveRegion;
+    liveRegion.textContent = text;
+  }
+
+  #clearLiveRegionText() {
+    const liveRegion = this.refs.liveRegion;
+    liveRegion.textContent = '';
+  }
+}
+
+if (!customElements.get('cart-spend-progress-component')) {
+  customElements.define('cart-spend-progress-component', CartSpendProgressComponent);
+}
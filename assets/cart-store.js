@@ -0,0 +1,565 @@
+import { ThemeEvents } from '@theme/events';
+import { fetchConfig } from '@theme/utilities';
+import {
+  CartMutationQueue,
+  CartMutationQueuedError,
+  CartNetworkError,
+  isNetworkError,
+} from '@theme/cart-mutation-queue';
+
+/** @typedef {import('./cart-mutation-queue').CartMutationType} CartMutationType */
+/** @typedef {import('./cart-mutation-queue').CartMutationSender} CartMutationSender */
+
+/**
+ * @typedef {Object} CartLine
+ * @property {string} key - The unique key of the line
+ * @property {number} id - The variant ID of the line
+ * @property {number} variant_id - The variant ID of the line
+ * @property {number} product_id - The product ID of the line
+ * @property {number} quantity - The quantity of the line
+ * @property {string} [sku] - The SKU of the variant
+ * @property {string} [title] - The title of the line
+ * @property {string} [product_title] - The title of the product
+ * @property {string | null} [variant_title] - The title of the variant
+ * @property {string} [handle] - The handle of the product
+ * @property {string} [url] - The URL of the line's variant
+ * @property {string} [image] - The image URL of the line
+ * @property {number} price - The price of a single unit in minor units
+ * @property {number} final_price - The discounted price of a single unit in minor units
+ * @property {number} line_price - The price of the line in minor units
+ * @property {number} final_line_price - The discounted price of the line in minor units
+ * @property {Record<string, string> | null} properties - The line item properties
+ * @property {{ selling_plan: { id: number, name: string } } | null} [selling_plan_allocation] - The selling plan allocation
+ * @property {{ parent_key: string } | null} [parent_relationship] - The parent line of a nested line
+ */
+
+/**
+ * @typedef {Object} Cart
+ * @property {string} [token] - The cart token
+ * @property {number} item_count - The total number of items in the cart
+ * @property {number} total_price - The total price of the cart in minor units
+ * @property {number} [original_total_price] - The total price before discounts in minor units
+ * @property {string} [currency] - The currency code of the cart
+ * @property {CartLine[]} items - The lines in the cart
+ */
+
+/**
+ * @callback CartListener
+ * @param {Cart} cart - The new cart
+ * @returns {void}
+ */
+
+/**
+ * @typedef {Object} MutationOptions
+ * @property {AbortSignal} [signal] - A signal to abort the request
+ * @property {Record<string, string>} [headers] - Additional request headers
+ */
+
+/**
+ * Checks whether a value has the shape of a cart object returned by the AJAX API.
+ * @param {unknown} value - The value to check
+ * @returns {value is Cart} Whether the value is a cart
+ */
+export function isCart(value) {
+  if (!value || typeof value !== 'object') return false;
+
+  const { item_count, items } = /** @type {Record<string, unknown>} */ (value);
+  return typeof item_count === 'number' && Array.isArray(items);
+}
+
+/**
+ * Holds the one authoritative copy of the cart shared by every cart-aware component.
+ *
+ * Components subscribe to changes instead of fetching `/cart.js` themselves. Cart objects carried by
+ * `ThemeEvents.cartUpdate` and `ThemeEvents.discountUpdate` events are picked up automatically; events without
+ * one trigger a single, deduplicated refresh.
+ */
+class CartStore {
+  /**
+   * The current cart, or null until it has been loaded
+   * @type {Cart | null}
+   */
+  #cart = null;
+
+  /**
+   * Incremented every time the cart is replaced, used to discard stale responses
+   * @type {number}
+   */
+  #version = 0;
+
+  /**
+   * The in-flight cart request
+   * @type {Promise<Cart> | null}
+   */
+  #pendingRefresh = null;
+
+  /**
+   * The in-flight idempotent mutation requests, keyed by endpoint and body
+   * @type {Map<string, Promise<any>>}
+   */
+  #pendingMutations = new Map();
+
+  /**
+   * The responses that were already applied, so events carrying them are not processed twice
+   * @type {WeakSet<object>}
+   */
+  #appliedResources = new WeakSet();
+
+  /** @type {Set<CartListener>} */
+  #listeners = new Set();
+
+  /**
+   * The mutations waiting for the connection to come back
+   * @type {CartMutationQueue}
+   */
+  #queue;
+
+  constructor() {
+    this.#queue = new CartMutationQueue(this.#replay);
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartEvent);
+    document.addEventListener(ThemeEvents.discountUpdate, this.#handleCartEvent);
+  }
+
+  /**
+   * The current cart, or null if it hasn't been loaded yet
+   * @returns {Cart | null}
+   */
+  get cart() {
+    return this.#cart;
+  }
+
+  /**
+   * Gets the cart, fetching it only if it hasn't been loaded yet
+   * @returns {Promise<Cart>} The cart
+   */
+  async get() {
+    return this.#cart ?? this.refresh();
+  }
+
+  /**
+   * Fetches the cart from the server. Concurrent calls share the same request.
+   * @returns {Promise<Cart>} The cart
+   */
+  refresh() {
+    if (this.#pendingRefresh) return this.#pendingRefresh;
+
+    const version = this.#version;
+
+    this.#pendingRefresh = fetch(`${Theme.routes.cart_url}.js`, { headers: { Accept: 'application/json' } })
+      .then((response) => response.json())
+      .then((cart) => {
+        // A mutation response landed while we were waiting, it is at least as fresh as this one
+        if (version !== this.#version && this.#cart) return this.#cart;
+
+        this.#setCart(cart);
+        return cart;
+      })
+      .finally(() => {
+        this.#pendingRefresh = null;
+      });
+
+    return this.#pendingRefresh;
+  }
+
+  /**
+   * Subscribes to cart changes
+   * @param {CartListener} listener - Called with the new cart every time it changes
+   * @returns {() => void} A function that removes the subscription
+   */
+  subscribe(listener) {
+    this.#listeners.add(listener);
+
+    return () => {
+      this.#listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Subscribes to a derived value of the cart. The listener is only called when the selected value changes.
+   * @template T
+   * @param {(cart: Cart) => T} selector - Derives the value from the cart
+   * @param {(value: T, previousValue: T | undefined) => void} listener - Called when the selected value changes
+   * @returns {() => void} A function that removes the subscription
+   */
+  select(selector, listener) {
+    /** @type {T | undefined} */
+    let selected = this.#cart ? selector(this.#cart) : undefined;
+
+    return this.subscribe((cart) => {
+      const value = selector(cart);
+      if (Object.is(value, selected)) return;
+
+      const previousValue = selected;
+      selected = value;
+      listener(value, previousValue);
+    });
+  }
+
+  /**
+   * Gets the quantity of a variant across all cart lines
+   * @param {string | number} variantId - The variant ID
+   * @param {Cart | null} [cart] - The cart to read from, defaults to the current cart
+   * @returns {number} The quantity in the cart
+   */
+  getVariantQuantity(variantId, cart = this.#cart) {
+    if (!cart) return 0;
+
+    return cart.items
+      .filter((item) => String(item.variant_id) === String(variantId))
+      .reduce((total, item) => total + item.quantity, 0);
+  }
+
+  /**
+   * Adds items to the cart through `cart/add`. Resolves once the cart has been refreshed.
+   * @param {FormData | Object} body - The request body
+   * @param {MutationOptions} [options] - The request options
+   * @returns {Promise<any>} The response from the server
+   */
+  add(body, options) {
+    return this.#mutate('add', body, options);
+  }
+
+  /**
+   * Changes a single line through `cart/change`
+   * @param {Object} body - The request body
+   * @param {MutationOptions} [options] - The request options
+   * @returns {Promise<any>} The response from the server
+   */
+  change(body, options) {
+    return this.#mutate('change', body, options);
+  }
+
+  /**
+   * Updates several lines, the note, attributes or discounts through `cart/update`
+   * @param {Object} body - The request body
+   * @param {MutationOptions} [options] - The request options
+   * @returns {Promise<any>} The response from the server
+   */
+  update(body, options) {
+    return this.#mutate('update', body, options);
+  }
+
+  /**
+   * Sends a mutation, applying its expected outcome optimistically and reconciling with the server response.
+   * Identical `change` and `update` requests that are already in flight share the same response. When the network is down the mutation is
+   * queued, its optimistic outcome is kept and the returned promise rejects with a `CartMutationQueuedError`.
+   * @param {CartMutationType} type - The cart endpoint
+   * @param {FormData | Object} body - The request body
+   * @param {MutationOptions} [options] - The request options
+   * @returns {Promise<any>} The response from the server
+   */
+  #mutate(type, body, options = {}) {
+    const serializedBody =
+      body instanceof FormData ? new URLSearchParams(/** @type {any} */ (body)).toString() : JSON.stringify(body);
+    // `cart/add` adds to the quantity, so identical requests, like two clicks on a button, are both sent
+    const key = IDEMPOTENT_MUTATIONS.includes(type) ? `${type}:${serializedBody}` : null;
+
+    const pendingMutation = key ? this.#pendingMutations.get(key) : undefined;
+    if (pendingMutation) return pendingMutation;
+
+    const snapshot = this.#cart;
+    if (snapshot) this.#setCart(OPTIMISTIC_UPDATES[type](snapshot, body));
+    const optimisticVersion = this.#version;
+
+    const request = this.#waitForQueue()
+      .then((canSend) => {
+        // The connection is down or earlier cart mutations are still queued
+        if (!canSend) throw new CartNetworkError();
+
+        return this.#send(type, body, options);
+      })
+      .then((data) => {
+        if (data.status || data.errors) this.#rollback(snapshot, optimisticVersion);
+
+        return data;
+      })
+      .catch((error) => {
+        if (isNetworkError(error) && !options.signal?.aborted) {
+          this.#queue.enqueue(type, body, options.headers);
+          throw new CartMutationQueuedError(type);
+        }
+
+        this.#rollback(snapshot, optimisticVersion);
+        throw error;
+      })
+      .finally(() => {
+        if (key) this.#pendingMutations.delete(key);
+      });
+
+    if (key) this.#pendingMutations.set(key, request);
+
+    return request;
+  }
+
+  /**
+   * Replays queued mutations before a new one is sent, so the server receives them in order
+   * @returns {Promise<boolean>} Whether the queue is empty and the new mutation can be sent
+   */
+  async #waitForQueue() {
+    if (!this.#queue.size) return navigator.onLine;
+
+    await this.#queue.flush();
+
+    return !this.#queue.size;
+  }
+
+  /**
+   * Sends a mutation and stores the cart it results in
+   * @param {CartMutationType} type - The cart endpoint
+   * @param {FormData | Object} body - The request body
+   * @param {MutationOptions} options - The request options
+   * @returns {Promise<any>} The response from the server
+   */
+  async #send(type, body, options) {
+    const config =
+      body instanceof FormData
+        ? fetchConfig('javascript', { body })
+        : fetchConfig('json', { body: JSON.stringify(body) });
+
+    const response = await fetch(Theme.routes[CART_ROUTES[type]], {
+      ...config,
+      headers: { .../** @type {Record<string, string>} */ (config.headers), ...options.headers },
+      signal: options.signal,
+    }).catch((error) => {
+      // fetch only rejects when the request couldn't be sent, or was aborted
+      throw options.signal?.aborted ? error : new CartNetworkError(error);
+    });
+    const data = await response.json();
+
+    if (data.status || data.errors) return data;
+
+    if (isCart(data)) {
+      this.#setCart(data);
+    } else {
+      // `cart/add` only returns the added lines. A refresh started before this request can't be reused.
+      await this.#pendingRefresh?.catch(() => {});
+      // The items were added, a failed refresh must not get the request queued again
+      await this.refresh().catch((error) => console.error('Failed to refresh the cart:', error));
+      this.#appliedResources.add(data);
+    }
+
+    return data;
+  }
+
+  /**
+   * Replays a queued mutation. The optimistic outcome was already applied when it was queued.
+   * @type {CartMutationSender}
+   */
+  #replay = async (type, body, headers) => {
+    const data = await this.#send(type, body, { headers });
+
+    // The optimistic outcome is wrong, ask the server for the real cart
+    if (data.status || data.errors) this.refresh().catch(() => {});
+
+    return data;
+  };
+
+  /**
+   * Reverts an optimistic update. If the cart changed since, the server is asked for the real state instead.
+   * @param {Cart | null} snapshot - The cart before the optimistic update
+   * @param {number} optimisticVersion - The version the optimistic update produced
+   */
+  #rollback(snapshot, optimisticVersion) {
+    if (!snapshot) return;
+
+    if (optimisticVersion === this.#version) {
+      this.#setCart(snapshot);
+    } else {
+      this.refresh().catch(() => {});
+    }
+  }
+
+  /**
+   * Replaces the cart and notifies the listeners
+   * @param {Cart & { sections?: Record<string, string> }} cart - The new cart
+   */
+  #setCart(cart) {
+    const { sections, ...cartWithoutSections } = cart;
+
+    this.#appliedResources.add(cart);
+    this.#appliedResources.add(cartWithoutSections);
+    this.#cart = cartWithoutSections;
+    this.#version++;
+
+    for (const listener of this.#listeners) {
+      try {
+        listener(cartWithoutSections);
+      } catch (error) {
+        console.error(error);
+      }
+    }
+  }
+
+  /**
+   * Keeps the store in sync with cart events dispatched by components
+   * @param {Event & { detail?: { resource?: unknown } }} event
+   */
+  #handleCartEvent = (event) => {
+    const resource = event.detail?.resource;
+
+    if (resource && typeof resource === 'object' && this.#appliedResources.has(resource)) return;
+
+    if (isCart(resource)) {
+      this.#setCart(resource);
+    } else if (this.#cart || this.#listeners.size) {
+      this.refresh().catch((error) => console.error('Failed to refresh the cart:', error));
+    }
+  };
+}
+
+/**
+ * Creates a copy of the cart with updated line quantities and totals
+ * @param {Cart} cart - The cart
+ * @param {(item: CartLine, index: number) => number} getQuantity - Returns the new quantity of a line
+ * @returns {Cart} The new cart
+ */
+function withQuantities(cart, getQuantity) {
+  let itemCount = 0;
+  let totalPrice = 0;
+
+  const items = cart.items
+    .map((item, index) => {
+      const quantity = getQuantity(item, index);
+      itemCount += quantity;
+      totalPrice += item.final_price * quantity;
+
+      return quantity === item.quantity
+        ? item
+        : {
+            ...item,
+            quantity,
+            line_price: item.price * quantity,
+            final_line_price: item.final_price * quantity,
+          };
+    })
+    .filter((item) => item.quantity > 0);
+
+  return { ...cart, items, item_count: itemCount, total_price: totalPrice };
+}
+
+/**
+ * @typedef {Object} AddRequestItem
+ * @property {string | number} id - The variant ID to add
+ * @property {number} [quantity] - The quantity to add
+ * @property {Record<string, string>} [properties] - The line item properties
+ * @property {number} [selling_plan] - The selling plan ID
+ */
+
+/**
+ * @typedef {Object} AddRequest
+ * @property {string | number} [id] - The variant ID to add
+ * @property {number} [quantity] - The quantity to add
+ * @property {AddRequestItem[]} [items] - Several variants to add at once
+ */
+
+/**
+ * Predicts the result of a `cart/add` request
+ * @param {Cart} cart - The cart
+ * @param {FormData | Object} body - The request body
+ * @returns {Cart} The expected cart
+ */
+function applyAdd(cart, body) {
+  /** @type {Array<{ id: string, quantity: number, sellingPlan: string }>} */
+  let additions;
+
+  if (body instanceof FormData) {
+    additions = [
+      {
+        id: String(body.get('id')),
+        quantity: Number(body.get('quantity')) || 1,
+        sellingPlan: String(body.get('selling_plan') ?? ''),
+      },
+    ];
+  } else {
+    const request = /** @type {AddRequest} */ (body);
+    const items = request.items ?? [{ id: request.id ?? '', quantity: request.quantity }];
+    additions = items.map(({ id, quantity, selling_plan }) => ({
+      id: String(id),
+      quantity: Number(quantity) || 1,
+      sellingPlan: String(selling_plan ?? ''),
+    }));
+  }
+
+  const updated = withQuantities(cart, (item) => {
+    const hasProperties = item.properties && Object.keys(item.properties).length > 0;
+    // A variant bought with a different selling plan is added as its own line
+    const sellingPlan = String(item.selling_plan_allocation?.selling_plan.id ?? '');
+    const addition = hasProperties
+      ? null
+      : additions.find(({ id, sellingPlan: plan }) => id === String(item.variant_id) && plan === sellingPlan);
+
+    if (!addition) return item.quantity;
+
+    additions.splice(additions.indexOf(addition), 1);
+    return item.quantity + addition.quantity;
+  });
+
+  // New lines can't be predicted without product data, only count them
+  for (const { quantity } of additions) {
+    updated.item_count += quantity;
+  }
+
+  return updated;
+}
+
+/**
+ * Predicts the result of a `cart/change` request
+ * @param {Cart} cart - The cart
+ * @param {Object} body - The request body
+ * @returns {Cart} The expected cart
+ */
+function applyChange(cart, body) {
+  const { line, id, quantity } = /** @type {{ line?: number, id?: string | number, quantity?: number }} */ (body);
+  if (quantity === undefined) return cart;
+
+  return withQuantities(cart, (item, index) => {
+    const matches = line ? index === line - 1 : String(id) === item.key || String(id) === String(item.variant_id);
+    return matches ? quantity : item.quantity;
+  });
+}
+
+/**
+ * Predicts the result of a `cart/update` request
+ * @param {Cart} cart - The cart
+ * @param {Object} body - The request body
+ * @returns {Cart} The expected cart
+ */
+function applyUpdate(cart, body) {
+  const { updates } = /** @type {{ updates?: Record<string, number> | number[] }} */ (body);
+  if (!updates) return cart;
+
+  return withQuantities(cart, (item, index) => {
+    const quantity = Array.isArray(updates) ? updates[index] : (updates[item.key] ?? updates[String(item.variant_id)]);
+
+    return quantity ?? item.quantity;
+  });
+}
+
+/**
+ * The theme route of each cart endpoint
+ * @type {Record<CartMutationType, 'cart_add_url' | 'cart_change_url' | 'cart_update_url'>}
+ */
+const CART_ROUTES = {
+  add: 'cart_add_url',
+  change: 'cart_change_url',
+  update: 'cart_update_url',
+};
+
+/**
+ * The cart endpoints that set absolute quantities and values, so sending the same request twice has the same outcome
+ * @type {CartMutationType[]}
+ */
+const IDEMPOTENT_MUTATIONS = ['change', 'update'];
+
+/**
+ * Predicts the outcome of each cart endpoint
+ * @type {Record<CartMutationType, (cart: Cart, body: any) => Cart>}
+ */
+const OPTIMISTIC_UPDATES = {
+  add: applyAdd,
+  change: applyChange,
+  update: applyUpdate,
+};
+
+export const cartStore = new CartStore();
@@ -0,0 +1,122 @@
+import { CartAddEvent, CartUpdateEvent, DiscountUpdateEvent, ThemeEvents } from '@theme/events';
+import { cartStore, isCart } from '@theme/cart-store';
+
+/** @typedef {import('./cart-store').Cart} Cart */
+
+// The name of the broadcast channel shared by the tabs of the store
+const CHANNEL_NAME = 'theme:cart';
+
+// The key used to pass messages through local storage when BroadcastChannel isn't supported
+const STORAGE_KEY = 'cart-sync';
+
+// The source ID of the events dispatched for changes made in another tab
+const SOURCE_ID = 'cart-sync';
+
+/**
+ * @typedef {Object} CartSyncMessage
+ * @property {string} id - A unique ID, so repeated messages still trigger a storage event
+ * @property {string} type - The event that was dispatched in the other tab
+ * @property {Cart | null} cart - The cart carried by the event, or null if it didn't carry a full one
+ */
+
+/**
+ * Keeps the cart in sync across the tabs of the store.
+ *
+ * `ThemeEvents.cartUpdate` and `ThemeEvents.discountUpdate` events are rebroadcast to the other tabs, which dispatch
+ * them again with `source: 'cart-sync'` so their cart sections re-render through the section renderer.
+ */
+class CartSync {
+  /** @type {BroadcastChannel | null} */
+  #channel = null;
+
+  constructor() {
+    if (typeof BroadcastChannel === 'function') {
+      this.#channel = new BroadcastChannel(CHANNEL_NAME);
+      this.#channel.addEventListener('message', (event) => this.#receive(event.data));
+    } else {
+      window.addEventListener('storage', this.#handleStorage);
+    }
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartEvent);
+    document.addEventListener(ThemeEvents.discountUpdate, this.#handleCartEvent);
+  }
+
+  /**
+   * Rebroadcasts the cart events dispatched in this tab
+   * @param {Event} event - The cart add, cart update or discount update event
+   */
+  #handleCartEvent = (event) => {
+    // Adds are dispatched as `ThemeEvents.cartUpdate` events too, but aren't `CartUpdateEvent`s
+    if (!(event instanceof CartUpdateEvent || event instanceof CartAddEvent || event instanceof DiscountUpdateEvent)) {
+      return;
+    }
+
+    // Don't echo the changes received from another tab
+    if (event.detail.sourceId === SOURCE_ID) return;
+
+    /** @type {Cart | null} */
+    let cart = null;
+
+    if (isCart(event.detail.resource)) {
+      // Section HTML is rendered for this tab only
+      const { sections, ...rest } = /** @type {Cart & { sections?: unknown }} */ (event.detail.resource);
+      cart = rest;
+    }
+
+    this.#post({ id: `${Date.now()}-${Math.random().toString(36).slice(2)}`, type: event.type, cart });
+  };
+
+  /**
+   * @param {CartSyncMessage} message - The message to send to the other tabs
+   */
+  #post(message) {
+    if (this.#channel) {
+      this.#channel.postMessage(message);
+      return;
+    }
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(message));
+    } catch (_) {
+      // Storage is full or unavailable, the other tabs will catch up on their next cart change
+    }
+  }
+
+  /**
+   * @param {StorageEvent} event - The storage event
+   */
+  #handleStorage = (event) => {
+    if (event.key !== STORAGE_KEY || !event.newValue) return;
+
+    try {
+      this.#receive(JSON.parse(event.newValue));
+    } catch (_) {
+      // Ignore malformed messages
+    }
+  };
+
+  /**
+   * Dispatches a change made in another tab in this one
+   * @param {CartSyncMessage} message - The message sent by the other tab
+   */
+  async #receive(message) {
+    try {
+      const cart = message.cart ?? (await cartStore.refresh());
+
+      if (message.type === ThemeEvents.discountUpdate) {
+        document.dispatchEvent(new DiscountUpdateEvent(cart, SOURCE_ID));
+      } else {
+        document.dispatchEvent(
+          new CartUpdateEvent(cart, SOURCE_ID, {
+            source: SOURCE_ID,
+            itemCount: cart.item_count,
+          })
+        );
+      }
+    } catch (error) {
+      console.error('Failed to sync the cart:', error);
+    }
+  }
+}
+
+export const cartSync = new CartSync();
@@ -0,0 +1,135 @@
+import { Component } from '@theme/component';
+import { CartErrorEvent, CartLinesRemoveEvent, CartUpdateEvent, ThemeEvents } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
+import { CartMutationQueuedError } from '@theme/cart-mutation-queue';
+
+/** @typedef {import('./cart-store').CartLine} CartLine */
+
+// How long the removed lines can be restored for
+const UNDO_DURATION = 6000;
+
+/**
+ * A custom element that offers to restore the lines that were just removed from the cart.
+ * One is rendered in the page and one inside the cart drawer.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} message - The message describing what was removed.
+ * @property {HTMLButtonElement} undoButton - The button that restores the lines.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartUndoToastComponent extends Component {
+  requiredRefs = ['message', 'undoButton'];
+
+  /**
+   * The lines that can be restored
+   * @type {CartLine[]}
+   */
+  #lines = [];
+
+  /** @type {number | undefined} */
+  #timeout;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.cartLinesRemove, this.#handleLinesRemove);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartLinesRemove, this.#handleLinesRemove);
+  }
+
+  /**
+   * Shows the toast for the removed lines.
+   * @param {Event} event - The lines remove event.
+   */
+  #handleLinesRemove = (event) => {
+    if (!(event instanceof CartLinesRemoveEvent)) return;
+
+    // Content outside of an open modal dialog is inert, so the toast inside the cart drawer takes over while it is open
+    const dialog = this.closest('dialog');
+    if (dialog ? !dialog.open : document.querySelector('dialog:modal')) return;
+
+    // Nested lines are added back by their parent
+    const lines = event.detail.lines.filter((line) => !line.parent_relationship);
+    if (!lines.length) return;
+
+    this.#lines = lines;
+
+    const count = lines.reduce((total, line) => total + line.quantity, 0);
+    const { cart_lines_removed_one: oneItemText, cart_lines_removed_other: itemsText } = Theme.translations;
+    this.refs.message.textContent = count === 1 ? oneItemText : itemsText.replace('{{ count }}', count.toString());
+    this.refs.undoButton.disabled = false;
+
+    this.hidden = false;
+
+    clearTimeout(this.#timeout);
+    this.#timeout = setTimeout(this.#hide, UNDO_DURATION);
+  };
+
+  /**
+   * Adds the removed lines back to the cart.
+   */
+  async undo() {
+    const lines = this.#lines;
+    if (!lines.length) return;
+
+    this.#lines = [];
+    this.refs.undoButton.disabled = true;
+    clearTimeout(this.#timeout);
+    this.#hide();
+
+    const sectionIds = new Set();
+    document.querySelectorAll('cart-items-component').forEach((item) => {
+      if (item instanceof HTMLElement && item.dataset.sectionId) {
+        sectionIds.add(item.dataset.sectionId);
+      }
+    });
+
+    try {
+      // New lines go to the top of the cart, so the lines are added bottom-up. A line gets back to its original
+      // position when nothing above it changed, e.g. when it was the first line.
+      const response = await cartStore.add({
+        items: [...lines].reverse().map((line) => ({
+          id: line.variant_id,
+          quantity: line.quantity,
+          properties: line.properties ?? undefined,
+          selling_plan: line.selling_plan_allocation?.selling_plan.id,
+        })),
+        sections: Array.from(sectionIds).join(','),
+      });
+
+      if (response.status) {
+        document.dispatchEvent(new CartErrorEvent(this.id, response.message, response.description, response.errors));
+        return;
+      }
+
+      const cart = await cartStore.get();
+
+      document.dispatchEvent(
+        new CartUpdateEvent(cart, this.id, {
+          source: 'undo',
+          itemCount: cart.item_count,
+          sections: response.sections,
+        })
+      );
+    } catch (error) {
+      // Queued lines are added back, and announced, once the connection is restored
+      if (error instanceof CartMutationQueuedError) return;
+
+      console.error(error);
+    }
+  }
+
+  #hide = () => {
+    this.hidden = true;
+    this.#lines = [];
+  };
+}
+
+if (!customElements.get('cart-undo-toast-component')) {
+  customElements.define('cart-undo-toast-component', CartUndoToastComponent);
+}
@@ -1,21 +1,18 @@
 import { Component } from '@theme/component';
-import {
-  fetchConfig,
-  debounce,
-  onAnimationEnd,
-  prefersReducedMotion,
-  resetShimmer,
-  startViewTransition,
-} from '@theme/utilities';
+import { debounce, onAnimationEnd, prefersReducedMotion, resetShimmer, startViewTransition } from '@theme/utilities';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
 import {
   ThemeEvents,
   CartUpdateEvent,
+  CartLinesRemoveEvent,
   QuantitySelectorUpdateEvent,
   CartAddEvent,
   DiscountUpdateEvent,
 } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
+import { cartStore } from '@theme/cart-store';
+import { CartMutationQueuedError } from '@theme/cart-mutation-queue';
+import { SavedItems } from '@theme/saved-items';
 
 /** @typedef {import('./utilities').TextComponent} TextComponent */
 
@@ -87,6 +84,103 @@ class CartItemsComponent extends Component {
       action: 'clear',
     });
 
+    this.#removeRows(line);
+  }
+
+  /**
+   * Moves a line item out of the cart into the saved items.
+   * @param {number} line - The line item index.
+   */
+  async onLineItemSave(line) {
+    const key = this.refs.cartItemRows[line - 1]?.dataset.key;
+
+    this.#disableCartItems();
+
+    // The line only leaves the cart once it's known, so it can't be removed without being saved
+    const [savedLine] = key ? await this.#getCartLines([key]) : [];
+
+    if (!savedLine) {
+      this.#enableCartItems();
+      this.#showCartItemError(line, Theme.translations.save_for_later_error);
+      return;
+    }
+
+    this.updateQuantity({
+      line,
+      quantity: 0,
+      action: 'save',
+      removedLine: savedLine,
+    });
+
+    this.#removeRows(line);
+  }
+
+  /**
+   * Removes all the lines added together by the bundle builder.
+   * @param {string} bundleId - The bundle ID the lines share.
+   */
+  async onBundleRemove(bundleId) {
+    const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker('clear:user-action');
+
+    const bundleRows = this.refs.cartItemRows.filter((row) => row.dataset.bundleId === String(bundleId));
+    const keys = bundleRows.map((row) => row.dataset.key).filter((key) => key !== undefined);
+    if (!keys.length) return;
+
+    this.#disableCartItems();
+
+    // Keep the removed lines as they were, so they can be restored together
+    const removedLines = await this.#getCartLines(keys);
+
+    const body = {
+      updates: Object.fromEntries(keys.map((key) => [key, 0])),
+      sections: this.#getSectionIdsToUpdate().join(','),
+      sections_url: window.location.pathname,
+    };
+
+    this.refs.cartTotal?.shimmer();
+
+    const headerRows = Array.from(this.querySelectorAll('.cart-items__bundle-row')).filter(
+      (row) => row instanceof HTMLElement && row.dataset.bundleId === String(bundleId)
+    );
+    this.#removeRowElements(
+      [...bundleRows, ...headerRows].filter((row) => row instanceof HTMLElement),
+      bundleRows.length
+    );
+
+    cartStore
+      .update(body)
+      .then((parsedResponseText) => {
+        resetShimmer(this);
+
+        if (parsedResponseText.errors) {
+          sectionRenderer.renderSection(this.sectionId, { cache: false });
+          return;
+        }
+
+        this.#renderCartResponse(parsedResponseText);
+
+        if (removedLines.length) this.dispatchEvent(new CartLinesRemoveEvent(removedLines, this.sectionId));
+      })
+      .catch((error) => {
+        if (error instanceof CartMutationQueuedError) {
+          // The lines leave the cart once the connection is back
+          resetShimmer(this);
+          return;
+        }
+
+        console.error(error);
+      })
+      .finally(() => {
+        this.#enableCartItems();
+        cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
+      });
+  }
+
+  /**
+   * Optimistically removes the row of a line and its nested lines.
+   * @param {number} line - The line item index.
+   */
+  #removeRows(line) {
     const cartItemRowToRemove = this.refs.cartItemRows[line - 1];
 
     if (!cartItemRowToRemove) return;
@@ -97,8 +191,17 @@ class CartItemsComponent extends Component {
       ...this.refs.cartItemRows.filter((row) => row.dataset.parentKey === cartItemRowToRemove.dataset.key),
     ];
 
+    this.#removeRowElements(rowsToRemove, rowsToRemove.length);
+  }
+
+  /**
+   * Animates rows out of the cart, or shows the empty cart state when no line is left.
+   * @param {HTMLElement[]} rowsToRemove - The rows to remove.
+   * @param {number} lineCount - The number of lines the rows belong to.
+   */
+  #removeRowElements(rowsToRemove, lineCount) {
     // If the cart item row is the last row, optimistically trigger the cart empty state
-    const isEmptyCart = rowsToRemove.length == this.refs.cartItemRows.length;
+    const isEmptyCart = lineCount == this.refs.cartItemRows.length;
 
     const template = document.getElementById('empty-cart-template');
     if (isEmptyCart && template instanceof HTMLTemplateElement) {
@@ -131,8 +234,9 @@ class CartItemsComponent extends Component {
    * @param {number} config.line - The line.
    * @param {number} config.quantity - The quantity.
    * @param {string} config.action - The action.
+   * @param {import('./cart-store').CartLine} [config.removedLine] - The line being removed, when it's already known.
    */
-  updateQuantity(config) {
+  async updateQuantity(config) {
     const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker(`${config.action}:user-action`);
 
     this.#disableCartItems();
@@ -140,30 +244,25 @@ class CartItemsComponent extends Component {
     const { line, quantity } = config;
     const { cartTotal } = this.refs;
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    const sectionsToUpdate = new Set([this.sectionId]);
-    cartItemsComponents.forEach((item) => {
-      if (item instanceof HTMLElement && item.dataset.sectionId) {
-        sectionsToUpdate.add(item.dataset.sectionId);
-      }
-    });
+    // Target the line by key when possible, line numbers can shift before a queued change is replayed
+    const key = this.refs.cartItemRows[line - 1]?.dataset.key;
 
-    const body = JSON.stringify({
-      line: line,
+    // Keep the removed line as it was, so it can be restored
+    const removedLine =
+      config.removedLine ?? (quantity === 0 && key ? (await this.#getCartLines([key]))[0] : undefined);
+
+    const body = {
+      ...(key ? { id: key } : { line }),
       quantity: quantity,
-      sections: Array.from(sectionsToUpdate).join(','),
+      sections: this.#getSectionIdsToUpdate().join(','),
       sections_url: window.location.pathname,
-    });
+    };
 
     cartTotal?.shimmer();
 
-    fetch(`${Theme.routes.cart_change_url}`, fetchConfig('json', { body }))
-      .then((response) => {
-        return response.text();
-      })
-      .then((responseText) => {
-        const parsedResponseText = JSON.parse(responseText);
-
+    cartStore
+      .change(body)
+      .then((parsedResponseText) => {
         resetShimmer(this);
 
         if (parsedResponseText.errors) {
@@ -171,31 +270,24 @@ class CartItemsComponent extends Component {
           return;
         }
 
-        const newSectionHTML = new DOMParser().parseFromString(
-          parsedResponseText.sections[this.sectionId],
-          'text/html'
-        );
-
-        // Grab the new cart item count from a hidden element
-        const newCartHiddenItemCount = newSectionHTML.querySelector('[ref="cartItemCount"]')?.textContent;
-        const newCartItemCount = newCartHiddenItemCount ? parseInt(newCartHiddenItemCount, 10) : 0;
-
-        // Update data-cart-quantity for all matching variants
-        this.#updateQuantitySelectors(parsedResponseText);
-
-        this.dispatchEvent(
-          new CartUpdateEvent(parsedResponseText, this.sectionId, {
-            itemCount: newCartItemCount,
-            source: 'cart-items-component',
-            sections: parsedResponseText.sections,
-          })
-        );
+        this.#renderCartResponse(parsedResponseText);
 
-        morphSection(this.sectionId, parsedResponseText.sections[this.sectionId], this.isDrawer ? 'hydration' : 'full');
-
-        this.#updateCartQuantitySelectorButtonStates();
+        if (removedLine && config.action === 'save') {
+          SavedItems.addLine(removedLine, this.sectionId);
+        } else if (removedLine) {
+          this.dispatchEvent(new CartLinesRemoveEvent([removedLine], this.sectionId));
+        }
       })
       .catch((error) => {
+        if (error instanceof CartMutationQueuedError) {
+          // The line leaves the cart once the connection is back
+          if (removedLine && config.action === 'save') SavedItems.addLine(removedLine, this.sectionId);
+
+          resetShimmer(this);
+          this.#showCartItemError(line, Theme.translations.cart_mutation_queued);
+          return;
+        }
+
         console.error(error);
       })
       .finally(() => {
@@ -204,6 +296,72 @@ class CartItemsComponent extends Component {
       });
   }
 
+  /**
+   * Gets lines of the cart, loading the cart first when no mutation has loaded it on this page yet.
+   * @param {string[]} keys - The line keys.
+   * @returns {Promise<import('./cart-store').CartLine[]>} The lines that are in the cart.
+   */
+  async #getCartLines(keys) {
+    try {
+      const cart = await cartStore.get();
+      return cart.items.filter((item) => keys.includes(item.key));
+    } catch (error) {
+      console.error('Failed to load the cart:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Gets the ids of the sections that render cart items, so they can be updated along with the cart.
+   * @returns {string[]} The section ids.
+   */
+  #getSectionIdsToUpdate() {
+    const sectionsToUpdate = new Set([this.sectionId]);
+    document.querySelectorAll('cart-items-component').forEach((item) => {
+      if (item instanceof HTMLElement && item.dataset.sectionId) {
+        sectionsToUpdate.add(item.dataset.sectionId);
+      }
+    });
+
+    return Array.from(sectionsToUpdate);
+  }
+
+  /**
+   * Announces a cart mutation response and renders the section it holds.
+   * @param {Object} parsedResponseText - The cart mutation response.
+   * @param {Record<string, string>} parsedResponseText.sections - The rendered sections.
+   * @param {Array<{variant_id: number, quantity: number}>} [parsedResponseText.items] - The cart items.
+   */
+  #renderCartResponse(parsedResponseText) {
+    const newSectionHTML = new DOMParser().parseFromString(
+      parsedResponseText.sections[this.sectionId] ?? '',
+      'text/html'
+    );
+
+    // Grab the new cart item count from a hidden element
+    const newCartHiddenItemCount = newSectionHTML.querySelector('[ref="cartItemCount"]')?.textContent;
+    const newCartItemCount = newCartHiddenItemCount ? parseInt(newCartHiddenItemCount, 10) : 0;
+
+    // Update data-cart-quantity for all matching variants
+    this.#updateQuantitySelectors(parsedResponseText);
+
+    this.dispatchEvent(
+      new CartUpdateEvent(parsedResponseText, this.sectionId, {
+        itemCount: newCartItemCount,
+        source: 'cart-items-component',
+        sections: parsedResponseText.sections,
+      })
+    );
+
+    morphSection(
+      this.sectionId,
+      parsedResponseText.sections[this.sectionId] ?? '',
+      this.isDrawer ? 'hydration' : 'full'
+    );
+
+    this.#updateCartQuantitySelectorButtonStates();
+  }
+
   /**
    * Handles the discount update.
    * @param {DiscountUpdateEvent} event - The event.
@@ -226,15 +384,24 @@ class CartItemsComponent extends Component {
 
     quantityInput.value = quantityInput.defaultValue;
 
+    this.#showCartItemError(line, parsedResponseText.errors);
+  };
+
+  /**
+   * Shows a message below a cart line.
+   * @param {number} line - The line.
+   * @param {string} message - The message.
+   */
+  #showCartItemError(line, message) {
     const cartItemError = this.refs[`cartItemError-${line}`];
     const cartItemErrorContainer = this.refs[`cartItemErrorContainer-${line}`];
 
     if (!(cartItemError instanceof HTMLElement)) throw new Error('Cart item error not found');
     if (!(cartItemErrorContainer instanceof HTMLElement)) throw new Error('Cart item error container not found');
 
-    cartItemError.textContent = parsedResponseText.errors;
+    cartItemError.textContent = message;
     cartItemErrorContainer.classList.remove('hidden');
-  };
+  }
 
   /**
    * Handles the cart update.
@@ -0,0 +1,118 @@
+import { convertMoneyToMinorUnits, formatMoney, getCurrencyDecimals } from '@theme/money-formatting';
+
+/**
+ * Converts amounts and formatted prices between the currencies of the store, with the exchange rates of Shopify.
+ * Converted amounts are rounded with the rules below, so they're a preview: the next page load shows the prices
+ * set by the store.
+ * @module currency-conversion
+ */
+
+/**
+ * @typedef {object} Presentment
+ * @property {string} currency - The ISO code of the currency
+ * @property {number} rate - The exchange rate from the currency of the store
+ * @property {string} moneyFormat - The money format of the currency
+ * @property {string} moneyWithCurrencyFormat - The money format of the currency, with its ISO code
+ */
+
+/**
+ * @typedef {object} RoundingRule
+ * @property {number} step - Converted prices are rounded up to a multiple of it, in minor units
+ * @property {number} ending - The amount converted prices end with, in minor units
+ */
+
+/**
+ * How converted prices are rounded, in the currency they're converted to.
+ * Other currencies are only rounded to their decimals.
+ * Example: 10.12 EUR → 10.95 EUR, 1234 JPY → 1300 JPY
+ * @type {Record<string, RoundingRule>}
+ */
+export const ROUNDING_RULES = {
+  AUD: { step: 100, ending: 99 },
+  CAD: { step: 100, ending: 99 },
+  CHF: { step: 100, ending: 95 },
+  CNY: { step: 100, ending: 0 },
+  CZK: { step: 100, ending: 0 },
+  DKK: { step: 500, ending: 0 },
+  EUR: { step: 100, ending: 95 },
+  GBP: { step: 100, ending: 95 },
+  HKD: { step: 100, ending: 0 },
+  HUF: { step: 10000, ending: 0 },
+  INR: { step: 100, ending: 0 },
+  JPY: { step: 100, ending: 0 },
+  KRW: { step: 1000, ending: 0 },
+  NOK: { step: 500, ending: 0 },
+  NZD: { step: 100, ending: 99 },
+  PLN: { step: 100, ending: 0 },
+  SEK: { step: 500, ending: 0 },
+  SGD: { step: 100, ending: 95 },
+  USD: { step: 100, ending: 99 },
+};
+
+// Amounts in formatted prices, like `1,000.50`, `1.000,50`, `1 000` or `1'000.50`
+const AMOUNT_PATTERN = "\\d(?:[\\d.,' \\u00a0]*\\d)?";
+
+/**
+ * Rounds a converted amount with the rules of its currency
+ * @param {number} amount - The amount, in minor units
+ * @param {string} currency - The currency code
+ * @returns {number} The rounded amount, in minor units
+ */
+export function roundAmount(amount, currency) {
+  const rounded = Math.round(amount);
+  const rule = ROUNDING_RULES[currency.toUpperCase()];
+  if (!rule || rounded <= 0) return rounded;
+
+  return Math.ceil((rounded - rule.ending) / rule.step) * rule.step + rule.ending;
+}
+
+/**
+ * Converts an amount from one currency to another, through the currency of the store
+ * Example: convertAmount(1000, { currency: 'USD', rate: 1 }, { currency: 'EUR', rate: 0.9 }) → 995
+ * @param {number} amount - The amount, in minor units of the currency it's converted from
+ * @param {Pick<Presentment, 'currency' | 'rate'>} from - The currency the amount is in
+ * @param {Pick<Presentment, 'currency' | 'rate'>} to - The currency to convert the amount to
+ * @returns {number} The converted amount, in minor units of the currency it's converted to
+ */
+export function convertAmount(amount, from, to) {
+  if (from.currency === to.currency && from.rate === to.rate) return amount;
+
+  const major = amount / Math.pow(10, getCurrencyDecimals(from.currency));
+  const converted = (major / from.rate) * to.rate * Math.pow(10, getCurrencyDecimals(to.currency));
+
+  return roundAmount(converted, to.currency);
+}
+
+/**
+ * Converts every price in a text, keeping the text around them
+ * Example: "at $9.50/ea" → "at €8,95/ea"
+ * @param {string} text - The text, with prices formatted with the money formats of `from`
+ * @param {Presentment} from - The currency the prices are in
+ * @param {Presentment} to - The currency to convert the prices to
+ * @returns {string} The text with the converted prices
+ */
+export function convertFormattedPrices(text, from, to) {
+  const pattern = new RegExp(
+    `(${getFormatPattern(from.moneyWithCurrencyFormat)})|(${getFormatPattern(from.moneyFormat)})`,
+    'g'
+  );
+
+  return text.replace(pattern, (match, withCurrency) => {
+    const amount = convertMoneyToMinorUnits(match, from.currency);
+    if (amount === null) return match;
+
+    const format = withCurrency ? to.moneyWithCurrencyFormat : to.moneyFormat;
+    return formatMoney(convertAmount(amount, from, to), format, to.currency);
+  });
+}
+
+/**
+ * @param {string} format - A money format, like `${{amount}} USD`
+ * @returns {string} A pattern matching the prices formatted with it
+ */
+function getFormatPattern(format) {
+  return format
+    .split(/{{\s*\w+\s*}}/)
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join(AMOUNT_PATTERN);
+}
@@ -0,0 +1,182 @@
+import { convertMoneyToMinorUnits, formatMoney } from '@theme/money-formatting';
+import { convertAmount, convertFormattedPrices } from '@theme/currency-conversion';
+import { CurrencyUpdateEvent } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
+import { morph } from '@theme/morph';
+import { sectionRenderer } from '@theme/section-renderer';
+
+/**
+ * Converts the prices of the page to another currency in place, so shoppers picking another country don't wait
+ * for a page load to see them. The cart is rendered again by the server instead, it holds the prices to pay.
+ * @module currency
+ */
+
+/** @typedef {import('./currency-conversion').Presentment} Presentment */
+
+// The elements showing prices, their text is converted when the currency changes
+const PRICE_SELECTOR = [
+  'product-price',
+  'price-per-item',
+  '.price',
+  '.compare-at-price',
+  '.unit-price',
+  'facet-status-component [ref="facetStatus"]',
+].join(', ');
+
+// The carts, rendered again in the new currency so their totals add up
+const CART_SELECTOR = 'cart-items-component';
+
+// The localization forms and the buttons showing the selected country, rendered again for the new country
+const LOCALIZATION_SELECTOR =
+  'dropdown-localization-component, drawer-localization-component, localization-form-component';
+
+/**
+ * Gets the currency a page shows its prices in
+ * @param {Document} html - The page
+ * @param {number} rate - The exchange rate of the page, which is only in the scripts of Shopify
+ * @returns {Presentment | null} The currency, or null if the page doesn't describe it
+ */
+function getPresentment(html, rate) {
+  const script = html.getElementById('shop-currency');
+  if (!script || !rate) return null;
+
+  try {
+    const data = JSON.parse(script.textContent || '');
+
+    return {
+      currency: data.currency,
+      rate,
+      moneyFormat: data.money_format,
+      moneyWithCurrencyFormat: data.money_with_currency_format,
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Converts the prices of the page to another currency, in place
+ * @param {Presentment} from - The currency the prices are in
+ * @param {Presentment} to - The currency to convert the prices to
+ */
+export function convertPrices(from, to) {
+  for (const element of document.querySelectorAll(PRICE_SELECTOR)) {
+    // Nested price elements are converted with their container
+    if (element.parentElement?.closest(PRICE_SELECTOR) || element.closest(CART_SELECTOR)) continue;
+
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const text = node.textContent ?? '';
+      const converted = convertFormattedPrices(text, from, to);
+      if (converted !== text) node.textContent = converted;
+    }
+
+    const textComponents = [element, ...element.querySelectorAll('text-component')];
+
+    for (const textComponent of textComponents.filter((el) => el.matches('text-component[value]'))) {
+      textComponent.setAttribute('value', convertFormattedPrices(textComponent.getAttribute('value') ?? '', from, to));
+    }
+  }
+
+  // Components formatting prices themselves switch to the matching format of the new currency
+  for (const element of document.querySelectorAll('[data-money-format]')) {
+    if (!(element instanceof HTMLElement)) continue;
+
+    const withCurrency = element.dataset.moneyFormat === from.moneyWithCurrencyFormat;
+    element.dataset.moneyFormat = withCurrency ? to.moneyWithCurrencyFormat : to.moneyFormat;
+  }
+
+  for (const element of document.querySelectorAll('[data-currency]')) {
+    if (element instanceof HTMLElement) element.dataset.currency = to.currency;
+  }
+
+  for (const template of document.querySelectorAll('facet-status-component template[ref="moneyFormat"]')) {
+    if (template instanceof HTMLTemplateElement) template.content.replaceChildren(to.moneyFormat);
+  }
+
+  for (const facetStatus of document.querySelectorAll('facet-status-component [ref="facetStatus"]')) {
+    if (!(facetStatus instanceof HTMLElement) || !facetStatus.dataset.rangeMax) continue;
+
+    const rangeMax = convertMoneyToMinorUnits(facetStatus.dataset.rangeMax, from.currency);
+    if (rangeMax !== null) {
+      facetStatus.dataset.rangeMax = formatMoney(convertAmount(rangeMax, from, to), '{{amount}}', to.currency);
+    }
+  }
+}
+
+/**
+ * Renders the carts of the page again, in the currency of the session
+ */
+function renderCarts() {
+  const sectionIds = new Set();
+
+  for (const cart of document.querySelectorAll(CART_SELECTOR)) {
+    if (cart instanceof HTMLElement && cart.dataset.sectionId) sectionIds.add(cart.dataset.sectionId);
+  }
+
+  for (const sectionId of sectionIds) {
+    sectionRenderer.renderSection(sectionId, { cache: false }).catch((error) => {
+      console.error('Failed to render the cart in the new currency:', error);
+    });
+  }
+}
+
+/**
+ * Submits a localization form in the background and converts the prices of the page to the currency of the new
+ * country. The form is submitted as usual when the new country has its own URL or its prices can't be converted.
+ * @param {HTMLFormElement} form - The localization form, with the new country selected
+ */
+export async function submitLocalizationForm(form) {
+  const from = getPresentment(document, Number(Shopify.currency.rate));
+
+  try {
+    if (!from) throw new Error('The currency of the page is unknown');
+
+    const response = await fetch(form.action, { method: 'POST', body: new FormData(form) });
+    if (!response.ok) throw new Error(`Server returned ${response.status}`);
+
+    // Countries can have their own domain or subfolder, with translated content
+    const url = new URL(response.url);
+    if (url.origin !== window.location.origin || url.pathname !== window.location.pathname) {
+      window.location.assign(url.href);
+      return;
+    }
+
+    const text = await response.text();
+    const html = new DOMParser().parseFromString(text, 'text/html');
+    const currencyMatch = text.match(/Shopify\.currency\s*=\s*({[^}]*})/);
+    const countryMatch = text.match(/Shopify\.country\s*=\s*"(\w+)"/);
+    const currency = currencyMatch?.[1] ? JSON.parse(currencyMatch[1]) : null;
+    const to = getPresentment(html, Number(currency?.rate));
+
+    if (!to) throw new Error('The currency of the new country is unknown');
+
+    convertPrices(from, to);
+
+    const localizations = document.querySelectorAll(LOCALIZATION_SELECTOR);
+    const newLocalizations = html.querySelectorAll(LOCALIZATION_SELECTOR);
+    localizations.forEach((localization, index) => {
+      const newLocalization = newLocalizations[index];
+      if (newLocalization && !localization.parentElement?.closest(LOCALIZATION_SELECTOR)) {
+        morph(localization, newLocalization);
+      }
+    });
+
+    const script = document.getElementById('shop-currency');
+    const newScript = html.getElementById('shop-currency');
+    if (script && newScript) script.textContent = newScript.textContent;
+
+    Shopify.currency = { active: to.currency, rate: String(to.rate) };
+    if (countryMatch?.[1]) Shopify.country = countryMatch[1];
+
+    document.dispatchEvent(new CurrencyUpdateEvent(from, to));
+
+    // The cart is in the new currency as well
+    cartStore.refresh().catch((error) => console.error('Failed to refresh the cart:', error));
+    renderCarts();
+  } catch (error) {
+    console.error('Failed to convert the prices to the new currency:', error);
+    form.submit();
+  }
+}
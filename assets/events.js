@@ -10,10 +10,24 @@ export class ThemeEvents {
   static variantSelected = 'variant:selected';
   /** @static @constant {string} Event triggered when a variant is changed */
   static variantUpdate = 'variant:update';
+  /** @static @constant {string} Event triggered when the purchase option or selling plan of a product is changed */
+  static sellingPlanUpdate = 'selling-plan:update';
   /** @static @constant {string} Event triggered when the cart items or quantities are updated */
   static cartUpdate = 'cart:update';
   /** @static @constant {string} Event triggered when a cart update fails */
   static cartError = 'cart:error';
+  /** @static @constant {string} Event triggered when lines are removed from the cart */
+  static cartLinesRemove = 'cart:lines-remove';
+  /** @static @constant {string} Event triggered when the items saved for later change */
+  static savedItemsUpdate = 'saved-items:update';
+  /** @static @constant {string} Event triggered when the recently viewed products change */
+  static recentlyViewedUpdate = 'recently-viewed:update';
+  /** @static @constant {string} Event triggered when the wishlist is updated */
+  static wishlistUpdate = 'wishlist:update';
+  /** @static @constant {string} Event triggered when the products to compare change */
+  static compareUpdate = 'compare:update';
+  /** @static @constant {string} Event triggered when the prices of the page are converted to another currency */
+  static currencyUpdate = 'currency:update';
   /** @static @constant {string} Event triggered when a media (video, 3d model) is loaded */
   static mediaStartedPlaying = 'media:started-playing';
   // Event triggered when quantity-selector value is changed
@@ -84,6 +98,38 @@ export class VariantUpdateEvent extends Event {
   }
 }
 
+/**
+ * @typedef {Object} SellingPlanAllocation
+ * @property {string} id - The id of the selling plan
+ * @property {number} price - The price charged for each checkout, in minor units
+ * @property {number} compare_at_price - The price without the selling plan discount, in minor units
+ * @property {number} per_delivery_price - The price of each delivery, in minor units
+ */
+
+/**
+ * Event fired when a shopper picks a one-time purchase or a selling plan
+ * @extends {Event}
+ */
+export class SellingPlanUpdateEvent extends Event {
+  /**
+   * Creates a new SellingPlanUpdateEvent
+   * @param {SellingPlanAllocation | null} resource - The allocation of the selected plan, or null for a one-time purchase
+   * @param {string} sourceId - The id of the element the action was triggered from
+   * @param {Object} data - Additional event data
+   * @param {string} data.productId - The id of the product the selling plan belongs to
+   */
+  constructor(resource, sourceId, data) {
+    super(ThemeEvents.sellingPlanUpdate, { bubbles: true });
+    this.detail = {
+      resource: resource || null,
+      sourceId,
+      data: {
+        productId: data.productId,
+      },
+    };
+  }
+}
+
 /**
  * Event class for cart additions
  * @extends {Event}
@@ -207,6 +253,120 @@ export class DiscountUpdateEvent extends Event {
   }
 }
 
+/**
+ * Event fired when lines are removed from the cart
+ * @extends {Event}
+ */
+export class CartLinesRemoveEvent extends Event {
+  /**
+   * Creates a new CartLinesRemoveEvent
+   * @param {import('./cart-store').CartLine[]} lines - The removed lines, as they were in the cart
+   * @param {string} sourceId - The id of the element the action was triggered from
+   */
+  constructor(lines, sourceId) {
+    super(ThemeEvents.cartLinesRemove, { bubbles: true });
+    this.detail = {
+      lines,
+      sourceId,
+    };
+  }
+}
+
+/**
+ * Event fired when the recently viewed products change
+ * @extends {Event}
+ */
+export class RecentlyViewedUpdateEvent extends Event {
+  /**
+   * Creates a new RecentlyViewedUpdateEvent
+   * @param {import('./recently-viewed-products').RecentlyViewedEntry[]} entries - The recently viewed entries
+   * @param {string} sourceId - The id of the element the action was triggered from
+   */
+  constructor(entries, sourceId) {
+    super(ThemeEvents.recentlyViewedUpdate, { bubbles: true });
+    this.detail = {
+      entries,
+      sourceId,
+    };
+  }
+}
+
+/**
+ * Event fired when the items saved for later change
+ * @extends {Event}
+ */
+export class SavedItemsUpdateEvent extends Event {
+  /**
+   * Creates a new SavedItemsUpdateEvent
+   * @param {import('./saved-items').SavedItem[]} items - The saved items
+   * @param {string} sourceId - The id of the element the action was triggered from
+   */
+  constructor(items, sourceId) {
+    super(ThemeEvents.savedItemsUpdate, { bubbles: true });
+    this.detail = {
+      items,
+      sourceId,
+    };
+  }
+}
+
+/**
+ * Event fired when the products to compare change
+ * @extends {Event}
+ */
+export class CompareUpdateEvent extends Event {
+  /**
+   * Creates a new CompareUpdateEvent
+   * @param {import('./product-compare').CompareProduct[]} products - The products to compare
+   * @param {string} sourceId - The id of the element the action was triggered from
+   */
+  constructor(products, sourceId) {
+    super(ThemeEvents.compareUpdate, { bubbles: true });
+    this.detail = {
+      products,
+      sourceId,
+    };
+  }
+}
+
+/**
+ * Event class for wishlist updates
+ * @extends {Event}
+ */
+export class WishlistUpdateEvent extends Event {
+  /**
+   * Creates a new WishlistUpdateEvent
+   * @param {string[]} products - The IDs of the products in the wishlist
+   * @param {string} sourceId - The id of the element the action was triggered from
+   */
+  constructor(products, sourceId) {
+    super(ThemeEvents.wishlistUpdate, { bubbles: true });
+    this.detail = {
+      products,
+      sourceId,
+    };
+  }
+}
+
+/**
+ * Event fired when the prices of the page are converted to another currency
+ * @extends {Event}
+ */
+export class CurrencyUpdateEvent extends Event {
+  /**
+   * Creates a new CurrencyUpdateEvent
+   * @param {import('./currency').Presentment} from - The currency the prices were shown in
+   * @param {import('./currency').Presentment} to - The currency the prices are shown in now
+   */
+  constructor(from, to) {
+    super(ThemeEvents.currencyUpdate, { bubbles: true });
+    this.detail = {
+      from,
+      to,
+    };
+  }
+}
+
 /**
  * Event class for media playback starts
  * @extends {Event}
@@ -2,7 +2,7 @@ import { sectionRenderer } from '@theme/section-renderer';
 import { Component } from '@theme/component';
 import { FilterUpdateEvent, ThemeEvents } from '@theme/events';
 import { debounce, startViewTransition } from '@theme/utilities';
-import { convertMoneyToMinorUnits, formatMoney } from '@theme/money-formatting';
+import { convertMoneyToMinorUnits, formatLocalizedMoney } from '@theme/money-formatting';
 /**
  * Search query parameter.
  * @type {string}
@@ -298,9 +298,9 @@ class PriceFacetComponent extends Component {
     const max = this.#parseDisplayValue(input.getAttribute('data-max') ?? '0', currency);
 
     if (value < min) {
-      input.value = formatMoney(min, moneyFormat, currency);
+      input.value = formatLocalizedMoney(min, moneyFormat, currency, { isolate: false });
     } else if (value > max) {
-      input.value = formatMoney(max, moneyFormat, currency);
+      input.value = formatLocalizedMoney(max, moneyFormat, currency, { isolate: false });
     }
   }
 
@@ -814,7 +814,7 @@ class FacetStatusComponent extends Component {
   }
 
   /**
-   * Formats money, replicated the implementation of the `money` liquid filters
+   * Formats money in the locale of the storefront, like the `money` liquid filters
    * @param {number} moneyValue - The money value
    * @returns {string} The formatted money value
    */
@@ -824,7 +824,7 @@ class FacetStatusComponent extends Component {
     const format = this.refs.moneyFormat.content.textContent || '{{amount}}';
     const currency = this.refs.facetStatus.dataset.currency || '';
 
-    return formatMoney(moneyValue, format, currency);
+    return formatLocalizedMoney(moneyValue, format, currency);
   }
 
   /**
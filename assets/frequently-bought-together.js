@@ -0,0 +1,238 @@
+import { AddItemsComponent } from '@theme/add-items-component';
+import { ThemeEvents, VariantUpdateEvent, CurrencyUpdateEvent } from '@theme/events';
+import { convertAmount } from '@theme/currency-conversion';
+
+/**
+ * @typedef {object} SelectedVariant
+ * @property {number} id - The variant ID
+ * @property {number} price - The price, in minor units
+ * @property {boolean} available - Whether the variant can be bought
+ */
+
+/**
+ * @typedef {HTMLElement & {
+ *   source: Element,
+ *   destination: Element,
+ *   useSourceSize: string | boolean
+ * }} FlyToCart
+ */
+
+/**
+ * A custom element that lists the product with its complementary products, so shoppers can pick variants
+ * of the ones they want and add them to the cart together.
+ * The recommendations are rendered by the Section Rendering API when the element comes into view.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement[]} [items] - The products.
+ * @property {HTMLInputElement[]} [checkboxes] - The checkbox that selects each product.
+ * @property {HTMLImageElement[]} [images] - The image of each product.
+ * @property {HTMLElement[]} [itemPrices] - The price of each product.
+ * @property {HTMLElement} [total] - The total of the selected products.
+ * @property {HTMLButtonElement} [addButton] - The add to cart button.
+ * @property {HTMLElement} [error] - The error message.
+ * @property {HTMLElement} [liveRegion] - The live region.
+ *
+ * @extends {AddItemsComponent<Refs>}
+ */
+class FrequentlyBoughtTogetherComponent extends AddItemsComponent {
+  /**
+   * The selected variant of each product, parsed from its variant picker until the picker changes
+   * @type {Map<HTMLElement, SelectedVariant | null>}
+   */
+  #variants = new Map();
+
+  #intersectionObserver = new IntersectionObserver(
+    (entries, observer) => {
+      if (!entries[0]?.isIntersecting) return;
+
+      observer.disconnect();
+      this.#loadRecommendations();
+    },
+    { rootMargin: '0px 0px 400px 0px' }
+  );
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.addEventListener(ThemeEvents.variantSelected, this.#handleVariantSelected);
+    this.addEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate);
+    document.addEventListener(ThemeEvents.currencyUpdate, this.#handleCurrencyUpdate);
+
+    if (this.dataset.recommendationsPerformed !== 'true') {
+      this.#intersectionObserver.observe(this);
+    }
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.removeEventListener(ThemeEvents.variantSelected, this.#handleVariantSelected);
+    this.removeEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate);
+    document.removeEventListener(ThemeEvents.currencyUpdate, this.#handleCurrencyUpdate);
+    this.#intersectionObserver.disconnect();
+  }
+
+  /**
+   * Renders the recommendations through the section the block is in
+   */
+  async #loadRecommendations() {
+    const { url, productId, sectionId } = this.dataset;
+    if (!url || !productId || !sectionId) return;
+
+    try {
+      const response = await fetch(`${url}&product_id=${productId}&section_id=${sectionId}&intent=complementary`);
+      if (!response.ok) throw new Error(`Server returned ${response.status}`);
+
+      const html = new DOMParser().parseFromString(await response.text(), 'text/html');
+      const recommendations = html.querySelector(`frequently-bought-together-component[id="${this.id}"]`);
+
+      this.dataset.recommendationsPerformed = 'true';
+
+      // Only the product itself, nothing to buy it with
+      if (!recommendations || recommendations.querySelectorAll('[ref="items[]"]').length < 2) return;
+
+      this.innerHTML = recommendations.innerHTML;
+      this.hidden = false;
+    } catch (error) {
+      console.error('Frequently bought together error:', error.message);
+    }
+  }
+
+  /**
+   * The pickers are about other products than the one the section is about, so their events stop here.
+   * @param {Event} event - The variant selected event
+   */
+  #handleVariantSelected = (event) => {
+    event.stopPropagation();
+
+    // The price is unknown until the variant is loaded
+    if (this.refs.addButton) this.refs.addButton.disabled = true;
+  };
+
+  /**
+   * @param {VariantUpdateEvent} event - The variant update event
+   */
+  #handleVariantUpdate = (event) => {
+    event.stopPropagation();
+
+    const item = this.refs.items?.find((item) => event.target instanceof Node && item.contains(event.target));
+    if (!item) return;
+
+    const variant = /** @type {SelectedVariant | null} */ (/** @type {unknown} */ (event.detail.resource));
+    this.#variants.set(item, variant);
+    this.#render();
+  };
+
+  /**
+   * Converts the prices of the selected variants when the prices of the page are converted to another currency
+   * @param {CurrencyUpdateEvent} event - The currency update event
+   */
+  #handleCurrencyUpdate = (event) => {
+    const { from, to } = event.detail;
+
+    for (const item of this.refs.items ?? []) {
+      const variant = this.#getVariant(item);
+      if (variant) this.#variants.set(item, { ...variant, price: convertAmount(variant.price, from, to) });
+    }
+
+    this.#render();
+  };
+
+  onSelectionChange() {
+    this.#render();
+  }
+
+  /**
+   * @param {HTMLElement} item - The product list item
+   * @returns {SelectedVariant | null} The selected variant of the product
+   */
+  #getVariant(item) {
+    if (!this.#variants.has(item)) {
+      const script = item.querySelector('variant-picker script[type="application/json"]');
+
+      try {
+        this.#variants.set(item, JSON.parse(script?.textContent || 'null'));
+      } catch {
+        this.#variants.set(item, null);
+      }
+    }
+
+    return this.#variants.get(item) ?? null;
+  }
+
+  /**
+   * @returns {{ variant: SelectedVariant, index: number }[]} The selected products that can be bought
+   */
+  #getSelection() {
+    const { items = [], checkboxes = [] } = this.refs;
+
+    return items.flatMap((item, index) => {
+      const variant = this.#getVariant(item);
+      return variant?.available && checkboxes[index]?.checked ? [{ variant, index }] : [];
+    });
+  }
+
+  /**
+   * Updates the prices, the availability of each product and the total of the selection
+   */
+  #render() {
+    const { items = [], checkboxes = [], itemPrices = [], total, addButton } = this.refs;
+
+    items.forEach((item, index) => {
+      const variant = this.#getVariant(item);
+      const checkbox = checkboxes[index];
+      const itemPrice = itemPrices[index];
+
+      if (checkbox) checkbox.disabled = !variant?.available;
+      if (itemPrice) {
+        itemPrice.textContent = variant?.available ? this.formatMoney(variant.price) : this.dataset.soldOutText || '';
+      }
+    });
+
+    const selection = this.#getSelection();
+
+    if (total) total.textContent = this.formatMoney(selection.reduce((sum, { variant }) => sum + variant.price, 0));
+    if (addButton) addButton.disabled = selection.length === 0;
+  }
+
+  /**
+   * Adds the selected products to the cart in a single request
+   */
+  async addToCart() {
+    const selection = this.#getSelection();
+    if (!selection.length) return;
+
+    const added = await this.addItems(
+      selection.map(({ variant }) => ({ id: variant.id, quantity: 1 })),
+      { source: 'frequently-bought-together', productId: this.dataset.productId }
+    );
+
+    if (added && this.dataset.addToCartAnimation === 'true') {
+      for (const { index } of selection) this.#animateFlyToCart(index);
+    }
+  }
+
+  /**
+   * Animates the image of an added product to the cart icon
+   * @param {number} index - The index of the product
+   */
+  #animateFlyToCart(index) {
+    const cartIcon = document.querySelector('.header-actions__cart-icon');
+    const image = this.refs.images?.find((image) => this.refs.items?.[index]?.contains(image));
+    if (!cartIcon || !image) return;
+
+    const flyToCartElement = /** @type {FlyToCart} */ (document.createElement('fly-to-cart'));
+
+    flyToCartElement.classList.add('fly-to-cart--quick');
+    flyToCartElement.style.setProperty('background-image', `url(${image.currentSrc || image.src})`);
+    flyToCartElement.useSourceSize = 'true';
+    flyToCartElement.source = image;
+    flyToCartElement.destination = cartIcon;
+
+    document.body.appendChild(flyToCartElement);
+  }
+}
+
+if (!customElements.get('frequently-bought-together-component')) {
+  customElements.define('frequently-bought-together-component', FrequentlyBoughtTogetherComponent);
+}
@@ -16,7 +16,16 @@ declare global {
   }
 
   interface Theme {
-    translations: Record<string, string>;
+    translations: Record<string, string> & {
+      cart_mutation_queued: string;
+      save_for_later_error: string;
+      cart_lines_removed_one: string;
+      cart_lines_removed_other: string;
+      price_regular: string;
+      price_sale: string;
+      selling_plan_per_delivery: string;
+      selling_plan_savings: string;
+    };
     routes: {
       cart_add_url: string;
       cart_change_url: string;
@@ -33,6 +42,16 @@ declare global {
     template: {
       name: string;
     };
+    recently_viewed?: {
+      max_entries: number;
+      max_age_days: number;
+    };
+    wishlist?: {
+      // null when the setting is blank
+      sync_url: string | null;
+      // Only set for logged-in customers, null when they have no saved wishlist
+      customer_products?: string[] | null;
+    };
   }
 
   interface Window {
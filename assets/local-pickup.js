@@ -2,10 +2,45 @@ import { Component } from '@theme/component';
 import { morph } from '@theme/morph';
 import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
 
+// The key used to remember the preferred pickup location in local storage
+const STORAGE_KEY = 'preferredPickupLocation';
+
+// How long to wait for the position of the shopper before asking for a postcode instead
+const GEOLOCATION_TIMEOUT = 10000;
+
+// The mean radius of the Earth, in kilometers
+const EARTH_RADIUS = 6371;
+
+// The countries where distances are given in miles
+const MILES_COUNTRIES = ['US', 'GB', 'LR', 'MM'];
+
+/**
+ * @typedef {object} Coordinates
+ * @property {number} latitude - The latitude, in degrees
+ * @property {number} longitude - The longitude, in degrees
+ */
+
+/**
+ * A custom element that shows where the selected variant can be picked up, with a drawer listing every location.
+ * Shoppers can sort the locations by distance from a postcode or their position, and pick a preferred store
+ * that's shown first on every product.
+ */
 class LocalPickup extends Component {
   /** @type {AbortController | undefined} */
   #activeFetch;
 
+  /**
+   * The position the locations are sorted by
+   * @type {Coordinates | null}
+   */
+  #origin = null;
+
+  /**
+   * The postcode the locations are sorted by, when it couldn't be located
+   * @type {string | null}
+   */
+  #postcode = null;
+
   connectedCallback() {
     super.connectedCallback();
 
@@ -31,10 +66,14 @@ class LocalPickup extends Component {
     };
 
     closestSection?.addEventListener(ThemeEvents.variantUpdate, variantUpdated);
+    window.addEventListener('storage', this.#handleStorage);
 
     this.disconnectedCallback = () => {
       closestSection?.removeEventListener(ThemeEvents.variantUpdate, variantUpdated);
+      window.removeEventListener('storage', this.#handleStorage);
     };
+
+    this.#render();
   }
 
   #createAbortController() {
@@ -65,6 +104,7 @@ class LocalPickup extends Component {
         if (wrapper) {
           this.removeAttribute('hidden');
           morph(this, wrapper);
+          this.#render();
         } else this.setAttribute('hidden', '');
       })
       .catch((_e) => {
@@ -72,6 +112,233 @@ class LocalPickup extends Component {
         this.setAttribute('hidden', '');
       });
   };
+
+  /**
+   * Remembers the store the shopper picks up from, for every product.
+   * @param {string | number} locationId - The ID of the location.
+   */
+  setPreferredLocation(locationId) {
+    try {
+      localStorage.setItem(STORAGE_KEY, String(locationId));
+    } catch (error) {
+      console.error('Failed to save the preferred pickup location:', error);
+    }
+
+    this.#render();
+  }
+
+  /**
+   * Sorts the locations by distance from a postcode.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  async sortByPostcode(event) {
+    event.preventDefault();
+
+    const input = this.querySelector('.pickup-location__postcode');
+    const postcode = input instanceof HTMLInputElement ? input.value.trim() : '';
+    if (!postcode) return;
+
+    this.#setMessage('');
+
+    // Without a geocoding service set up by the merchant, the postcode never leaves the browser
+    const { geocodingUrl } = this.dataset;
+    if (!geocodingUrl) {
+      this.#origin = null;
+      this.#postcode = postcode;
+      this.#render();
+      return;
+    }
+
+    try {
+      const params = new URLSearchParams({
+        postalcode: postcode,
+        countrycodes: Shopify.country.toLowerCase(),
+        format: 'json',
+        limit: '1',
+      });
+      const url = new URL(geocodingUrl, location.origin);
+      params.forEach((value, key) => url.searchParams.set(key, value));
+
+      const response = await fetch(url, { headers: { Accept: 'application/json' } });
+      if (!response.ok) throw new Error(`Server returned ${response.status}`);
+
+      const [result] = await response.json();
+      if (!result) throw new Error(`Postcode ${postcode} not found`);
+
+      this.#origin = { latitude: Number(result.lat), longitude: Number(result.lon) };
+      this.#postcode = null;
+    } catch (error) {
+      // The locations sharing the most of the postcode come first instead
+      console.warn('Failed to locate the postcode:', error);
+      this.#origin = null;
+      this.#postcode = postcode;
+      this.#setMessage(this.dataset.postcodeErrorText ?? '');
+    }
+
+    this.#render();
+  }
+
+  /**
+   * Sorts the locations by distance from the shopper, who's asked for a postcode when their position is unknown.
+   */
+  sortByCurrentLocation() {
+    this.#setMessage('');
+
+    if (!('geolocation' in navigator)) {
+      this.#askForPostcode();
+      return;
+    }
+
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => {
+        this.#origin = { latitude: coords.latitude, longitude: coords.longitude };
+        this.#postcode = null;
+        this.#render();
+      },
+      () => this.#askForPostcode(),
+      { timeout: GEOLOCATION_TIMEOUT }
+    );
+  }
+
+  #askForPostcode() {
+    this.#setMessage(this.dataset.geolocationErrorText ?? '');
+
+    const input = this.querySelector('.pickup-location__postcode');
+    if (input instanceof HTMLInputElement) input.focus();
+  }
+
+  /**
+   * @param {string} message - The message to show above the locations
+   */
+  #setMessage(message) {
+    const element = this.querySelector('[data-pickup-message]');
+    if (element) element.textContent = message;
+  }
+
+  /**
+   * The preferred store may be picked on another tab
+   * @param {StorageEvent} event - The storage event
+   */
+  #handleStorage = (event) => {
+    if (event.key === STORAGE_KEY) this.#render();
+  };
+
+  /**
+   * Shows the preferred store first, then the closest ones, and the preferred store in the summary
+   */
+  #render() {
+    const preferredLocationId = getPreferredLocation();
+    const list = this.querySelector('[data-pickup-locations]');
+    const locations = /** @type {HTMLElement[]} */ (Array.from(this.querySelectorAll('.pickup-location__wrapper')));
+
+    /** @type {Map<HTMLElement, number | null>} */
+    const distances = new Map(locations.map((location) => [location, this.#getDistance(location)]));
+
+    /** @param {HTMLElement} location */
+    const getRank = (location) => [
+      location.dataset.locationId === preferredLocationId ? 0 : 1,
+      distances.get(location) ?? Infinity,
+      -getCommonPrefixLength(location.dataset.zip ?? '', this.#postcode ?? ''),
+      Number(location.dataset.index),
+    ];
+
+    const sortedLocations = [...locations].sort((a, b) => {
+      const rankA = getRank(a);
+      const rankB = getRank(b);
+      const index = rankA.findIndex((value, i) => value !== rankB[i]);
+
+      return index === -1 ? 0 : (rankA[index] ?? 0) - (rankB[index] ?? 0);
+    });
+
+    list?.append(...sortedLocations);
+
+    for (const location of locations) {
+      const distance = distances.get(location);
+      const distanceElement = location.querySelector('[data-pickup-distance]');
+      const preferredButton = location.querySelector('.pickup-location__preferred-button');
+
+      if (distanceElement) distanceElement.textContent = distance == null ? '' : formatDistance(distance);
+      preferredButton?.setAttribute('aria-pressed', String(location.dataset.locationId === preferredLocationId));
+    }
+
+    const summaries = /** @type {HTMLElement[]} */ (Array.from(this.querySelectorAll('.pickup-availability__row')));
+    const summary = summaries.find((row) => row.dataset.locationId === preferredLocationId) ?? summaries[0];
+
+    for (const row of summaries) row.hidden = row !== summary;
+  }
+
+  /**
+   * @param {HTMLElement} location - The location element
+   * @returns {number | null} The distance to the location, in kilometers, when both positions are known
+   */
+  #getDistance(location) {
+    if (!this.#origin || !location.dataset.latitude || !location.dataset.longitude) return null;
+
+    return getDistance(this.#origin, {
+      latitude: Number(location.dataset.latitude),
+      longitude: Number(location.dataset.longitude),
+    });
+  }
+}
+
+/**
+ * @returns {string | null} The ID of the preferred pickup location
+ */
+function getPreferredLocation() {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Gets the distance between two positions with the haversine formula.
+ * @param {Coordinates} from - The first position
+ * @param {Coordinates} to - The second position
+ * @returns {number} The distance, in kilometers
+ */
+function getDistance(from, to) {
+  /** @param {number} degrees */
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+  const latitudeDelta = toRadians(to.latitude - from.latitude);
+  const longitudeDelta = toRadians(to.longitude - from.longitude);
+  const a =
+    Math.sin(latitudeDelta / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(longitudeDelta / 2) ** 2;
+
+  return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * @param {number} kilometers - The distance, in kilometers
+ * @returns {string} The distance in the unit of the country of the shopper
+ */
+function formatDistance(kilometers) {
+  const useMiles = MILES_COUNTRIES.includes(Shopify.country);
+  const formatter = new Intl.NumberFormat(document.documentElement.lang || undefined, {
+    style: 'unit',
+    unit: useMiles ? 'mile' : 'kilometer',
+    maximumFractionDigits: 1,
+  });
+
+  return formatter.format(useMiles ? kilometers / 1.609344 : kilometers);
+}
+
+/**
+ * @param {string} a - The first postcode
+ * @param {string} b - The second postcode
+ * @returns {number} The number of leading characters the postcodes share, ignoring case and spaces
+ */
+function getCommonPrefixLength(a, b) {
+  const first = a.replace(/\s/g, '').toUpperCase();
+  const second = b.replace(/\s/g, '').toUpperCase();
+  let length = 0;
+
+  while (length < first.length && first[length] === second[length]) length++;
+
+  return length;
 }
 
 if (!customElements.get('local-pickup')) {
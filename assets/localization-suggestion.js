@@ -0,0 +1,261 @@
+import { Component } from '@theme/component';
+import { submitLocalizationForm } from '@theme/currency';
+
+// The key used to remember the suggestion the shopper dismissed in local storage
+const STORAGE_KEY = 'localizationSuggestionDismissed';
+
+// The country of the most common time zones, which tell where the shopper is better than their languages
+/** @type {Record<string, string>} */
+const TIME_ZONE_COUNTRIES = {
+  'Africa/Cairo': 'EG',
+  'Africa/Johannesburg': 'ZA',
+  'Africa/Lagos': 'NG',
+  'Africa/Nairobi': 'KE',
+  'America/Anchorage': 'US',
+  'America/Argentina/Buenos_Aires': 'AR',
+  'America/Bogota': 'CO',
+  'America/Chicago': 'US',
+  'America/Denver': 'US',
+  'America/Edmonton': 'CA',
+  'America/Halifax': 'CA',
+  'America/Lima': 'PE',
+  'America/Los_Angeles': 'US',
+  'America/Mexico_City': 'MX',
+  'America/New_York': 'US',
+  'America/Phoenix': 'US',
+  'America/Santiago': 'CL',
+  'America/Sao_Paulo': 'BR',
+  'America/Toronto': 'CA',
+  'America/Vancouver': 'CA',
+  'America/Winnipeg': 'CA',
+  'Asia/Bangkok': 'TH',
+  'Asia/Calcutta': 'IN',
+  'Asia/Dubai': 'AE',
+  'Asia/Ho_Chi_Minh': 'VN',
+  'Asia/Hong_Kong': 'HK',
+  'Asia/Jakarta': 'ID',
+  'Asia/Jerusalem': 'IL',
+  'Asia/Kolkata': 'IN',
+  'Asia/Kuala_Lumpur': 'MY',
+  'Asia/Manila': 'PH',
+  'Asia/Riyadh': 'SA',
+  'Asia/Seoul': 'KR',
+  'Asia/Shanghai': 'CN',
+  'Asia/Singapore': 'SG',
+  'Asia/Taipei': 'TW',
+  'Asia/Tokyo': 'JP',
+  'Australia/Adelaide': 'AU',
+  'Australia/Brisbane': 'AU',
+  'Australia/Melbourne': 'AU',
+  'Australia/Perth': 'AU',
+  'Australia/Sydney': 'AU',
+  'Europe/Amsterdam': 'NL',
+  'Europe/Athens': 'GR',
+  'Europe/Berlin': 'DE',
+  'Europe/Bratislava': 'SK',
+  'Europe/Brussels': 'BE',
+  'Europe/Bucharest': 'RO',
+  'Europe/Budapest': 'HU',
+  'Europe/Copenhagen': 'DK',
+  'Europe/Dublin': 'IE',
+  'Europe/Helsinki': 'FI',
+  'Europe/Istanbul': 'TR',
+  'Europe/Kiev': 'UA',
+  'Europe/Kyiv': 'UA',
+  'Europe/Lisbon': 'PT',
+  'Europe/Ljubljana': 'SI',
+  'Europe/London': 'GB',
+  'Europe/Luxembourg': 'LU',
+  'Europe/Madrid': 'ES',
+  'Europe/Malta': 'MT',
+  'Europe/Monaco': 'MC',
+  'Europe/Moscow': 'RU',
+  'Europe/Oslo': 'NO',
+  'Europe/Paris': 'FR',
+  'Europe/Prague': 'CZ',
+  'Europe/Riga': 'LV',
+  'Europe/Rome': 'IT',
+  'Europe/Sofia': 'BG',
+  'Europe/Stockholm': 'SE',
+  'Europe/Tallinn': 'EE',
+  'Europe/Vienna': 'AT',
+  'Europe/Vilnius': 'LT',
+  'Europe/Warsaw': 'PL',
+  'Europe/Zagreb': 'HR',
+  'Europe/Zurich': 'CH',
+  'Pacific/Auckland': 'NZ',
+  'Pacific/Honolulu': 'US',
+};
+
+/**
+ * @typedef {object} Country
+ * @property {string} iso_code - The ISO code of the country
+ * @property {string} name - The name of the country
+ * @property {string} currency - The ISO code of the currency of the country
+ */
+
+/**
+ * @typedef {object} Language
+ * @property {string} iso_code - The ISO code of the language
+ * @property {string} name - The name of the language, in the language itself
+ */
+
+/**
+ * A custom element that suggests the country and language matching the browser of the shopper,
+ * when they differ from the ones of the storefront. Confirming submits a localization form with them,
+ * and dismissing hides the suggestion for good.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLScriptElement} markets - The countries and languages of the store, as JSON.
+ * @property {HTMLElement} message - The suggestion.
+ * @property {HTMLFormElement} form - The localization form.
+ * @property {HTMLInputElement} countryInput - The country input.
+ * @property {HTMLInputElement} languageInput - The language input.
+ *
+ * @extends {Component<Refs>}
+ */
+class LocalizationSuggestionComponent extends Component {
+  requiredRefs = ['markets', 'message', 'form', 'countryInput', 'languageInput'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    if (Shopify.designMode) return;
+
+    this.#suggest();
+  }
+
+  /**
+   * Switches to the suggested country and language.
+   * @param {SubmitEvent} event - The submit event
+   */
+  confirm(event) {
+    event.preventDefault();
+
+    this.hidden = true;
+    submitLocalizationForm(this.refs.form);
+  }
+
+  /**
+   * Hides the suggestion, which isn't shown again until the browser suggests something else.
+   */
+  dismiss() {
+    this.hidden = true;
+
+    try {
+      localStorage.setItem(STORAGE_KEY, this.#getSuggestionKey());
+    } catch (error) {
+      console.error('Failed to save the dismissed localization suggestion:', error);
+    }
+  }
+
+  /**
+   * Shows the suggestion when the browser of the shopper matches another country or language of the store
+   */
+  #suggest() {
+    const { markets, message, countryInput, languageInput } = this.refs;
+
+    /** @type {{ countries: Country[], languages: Language[] }} */
+    const { countries, languages } = JSON.parse(markets.textContent || '{}');
+    const country = getBrowserCountry(countries);
+    const language = getBrowserLanguage(languages);
+
+    const suggestedCountry = country && country.iso_code !== Shopify.country ? country : null;
+    const suggestedLanguage =
+      language && language.iso_code.toLowerCase() !== Shopify.locale.toLowerCase() ? language : null;
+
+    if (!suggestedCountry && !suggestedLanguage) return;
+
+    countryInput.value = suggestedCountry?.iso_code ?? Shopify.country;
+    languageInput.value = suggestedLanguage?.iso_code ?? Shopify.locale;
+
+    if (getDismissedSuggestion() === this.#getSuggestionKey()) return;
+
+    if (suggestedCountry) {
+      const options = [
+        suggestedCountry.currency !== Shopify.currency.active ? suggestedCountry.currency : null,
+        suggestedLanguage?.name,
+      ].filter(Boolean);
+
+      message.textContent = (this.dataset.countryText ?? '')
+        .replace('{{ country }}', suggestedCountry.name)
+        .replace('{{ options }}', options.length ? options.join(' / ') : suggestedCountry.name);
+    } else if (suggestedLanguage) {
+      message.textContent = (this.dataset.languageText ?? '').replace('{{ language }}', suggestedLanguage.name);
+    }
+
+    this.hidden = false;
+  }
+
+  /**
+   * @returns {string} The country and language suggested to the shopper
+   */
+  #getSuggestionKey() {
+    const { countryInput, languageInput } = this.refs;
+    return `${countryInput.value}:${languageInput.value}`;
+  }
+}
+
+/**
+ * @returns {string | null} The suggestion the shopper dismissed
+ */
+function getDismissedSuggestion() {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Finds the country of the shopper from the time zone of their browser, then from the regions of their languages.
+ * @param {Country[]} countries - The countries the store sells to
+ * @returns {Country | null} The country of the shopper, if the store sells to it
+ */
+function getBrowserCountry(countries) {
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  /** @type {(string | undefined)[]} */
+  const candidates = [TIME_ZONE_COUNTRIES[timeZone]];
+
+  for (const tag of navigator.languages) {
+    try {
+      // Languages without a region get their most likely one, like `DE` for `de`
+      candidates.push(new Intl.Locale(tag).maximize().region);
+    } catch {
+      // Invalid language tags are skipped
+    }
+  }
+
+  for (const candidate of candidates) {
+    const country = countries.find(({ iso_code }) => iso_code === candidate);
+    if (country) return country;
+  }
+
+  return null;
+}
+
+/**
+ * Finds the preferred language of the shopper that the store is translated to, matching `pt` with `pt-BR` and
+ * `pt-BR` with `pt` when the exact one isn't available.
+ * @param {Language[]} languages - The languages of the store
+ * @returns {Language | null} The preferred language, if the store is translated to it
+ */
+function getBrowserLanguage(languages) {
+  for (const tag of navigator.languages) {
+    const code = tag.toLowerCase();
+    const [baseCode] = code.split('-');
+
+    const language =
+      languages.find(({ iso_code }) => iso_code.toLowerCase() === code) ??
+      languages.find(({ iso_code }) => iso_code.toLowerCase().split('-')[0] === baseCode);
+
+    if (language) return language;
+  }
+
+  return null;
+}
+
+if (!customElements.get('localization-suggestion-component')) {
+  customElements.define('localization-suggestion-component', LocalizationSuggestionComponent);
+}
@@ -1,5 +1,31 @@
 import { Component } from '@theme/component';
-import { isClickedOutside, normalizeString, onAnimationEnd } from '@theme/utilities';
+import { getEditDistance, isClickedOutside, normalizeString, onAnimationEnd } from '@theme/utilities';
+import { submitLocalizationForm } from '@theme/currency';
+
+// The key used to remember the countries the shopper picked recently in local storage
+const RECENT_COUNTRIES_KEY = 'recentCountries';
+
+// How many recent countries are listed above the popular ones
+const MAX_RECENT_COUNTRIES = 3;
+
+// How countries matching the search are ordered, lower ranks come first
+const MATCH_RANKS = {
+  iso: 0,
+  labelStart: 1,
+  alias: 2,
+  wordStart: 3,
+  currency: 4,
+  label: 5,
+  fuzzy: 6,
+};
+
+/**
+ * @typedef {object} CountryMatch
+ * @property {number} rank - How the country matches, one of `MATCH_RANKS`
+ * @property {number} distance - The number of typos in the match
+ * @property {number} [start] - The start of the match in the country name
+ * @property {number} [end] - The end of the match in the country name
+ */
 
 /**
  * A custom element that displays a localization form.
@@ -26,6 +52,8 @@ class LocalizationFormComponent extends Component {
     this.refs.countryList && this.refs.countryList.addEventListener('keydown', this.#onContainerKeyDown);
     this.refs.countryList && this.refs.countryList.addEventListener('scroll', this.#onCountryListScroll);
 
+    this.#renderRecentCountries();
+
     // Resizing the language input can be expensive for browsers that don't support field-sizing: content.
     // Spliting it into separate tasks at least helps when there are multiple localization forms on the page.
     setTimeout(() => this.resizeLanguageInput(), 0);
@@ -64,7 +92,8 @@ class LocalizationFormComponent extends Component {
 
         if (focusedItem) {
           countryInput.value = focusedItem.dataset.value ?? '';
-          form.submit();
+          addRecentCountry(countryInput.value);
+          submitLocalizationForm(form);
         }
         break;
       }
@@ -73,7 +102,7 @@ class LocalizationFormComponent extends Component {
     if (!this.refs.search) return;
 
     setTimeout(() => {
-      const focusableItems = this.refs.countryListItems.filter((item) => !item.hasAttribute('hidden'));
+      const focusableItems = this.#getFocusableCountries();
       const focusedItemIndex = focusableItems.findIndex((item) => item === document.activeElement);
       const focusedItem = focusableItems[focusedItemIndex];
 
@@ -96,7 +125,8 @@ class LocalizationFormComponent extends Component {
     const { countryInput, form } = this.refs;
 
     countryInput.value = countryName;
-    form?.submit();
+    addRecentCountry(countryName);
+    if (form) submitLocalizationForm(form);
   };
 
   /**
@@ -147,125 +177,97 @@ class LocalizationFormComponent extends Component {
   }
 
   /**
-   * Finds matches for a given search value in a country element.
-   *
-   * @typedef {Object} Options
-   * @property {boolean} [matchLabel] - Whether to match the label.
-   * @property {boolean} [matchAlias] - Whether to match the alias.
-   * @property {boolean} [matchIso] - Whether to match the iso.
-   * @property {boolean} [matchCurrency] - Whether to match the currency.
-   * @property {boolean} [labelMatchStart] - Whether to match the label start.
-   * @property {boolean} [aliasExactMatch] - Whether to match the alias exact match.
+   * Ranks how well a country matches the search value, tolerating accents and typos.
    *
-   * @typedef {Object} MatchTypes
-   * @property {boolean} [label] - Whether the label matches the search value.
-   * @property {boolean} [alias] - Whether the alias matches the search value.
-   * @property {boolean} [iso] - Whether the iso matches the search value.
-   * @property {boolean} [currency] - Whether the currency matches the search value.
-   *
-   * @param {string} searchValue - The search value to find matches for.
-   * @param {HTMLElement} countryEl - The country element to find matches in.
-   * @param {Options} options - The options for the search.
-   * @returns {MatchTypes} The matches found in the country element.
+   * @param {string} searchValue - The normalized search value.
+   * @param {HTMLElement} countryEl - The country element to match.
+   * @returns {CountryMatch | null} The match, or null if the country doesn't match.
    */
-  #findMatches(
-    searchValue,
-    countryEl,
-    options = {
-      // Which data types (label, alias, iso) to match against
-      matchLabel: true,
-      matchAlias: true,
-      matchIso: true,
-      matchCurrency: true,
-      // If true, the search value must match the start of the label
-      labelMatchStart: false,
-      // If true, a result will not display unless the search value equals an alias in its entirety
-      aliasExactMatch: false,
-    }
-  ) {
-    let matchTypes = {};
+  #matchCountry(searchValue, countryEl) {
     const { aliases, value: iso } = countryEl.dataset;
+    const countryName = normalizeString(countryEl.querySelector('.country')?.textContent ?? '');
+    const currency = normalizeString(countryEl.querySelector('.localization-form__currency')?.textContent ?? '');
+    const countryAliases = aliases ? aliases.split(',').map((alias) => normalizeString(alias)) : [];
 
-    if (options.matchLabel) {
-      const countryName = normalizeString(countryEl.querySelector('.country')?.textContent ?? '');
-
-      if (!countryName) return matchTypes;
+    if (normalizeString(iso ?? '') === searchValue) return { rank: MATCH_RANKS.iso, distance: 0 };
 
-      matchTypes.label = options.labelMatchStart
-        ? countryName.startsWith(searchValue)
-        : countryName.includes(searchValue);
+    if (countryName.startsWith(searchValue)) {
+      return { rank: MATCH_RANKS.labelStart, distance: 0, start: 0, end: searchValue.length };
     }
 
-    if (options.matchCurrency) {
-      const currency = normalizeString(countryEl.querySelector('.localization-form__currency')?.textContent ?? '');
-      matchTypes.currency = currency.includes(searchValue);
+    if (countryAliases.some((alias) => alias.startsWith(searchValue))) return { rank: MATCH_RANKS.alias, distance: 0 };
+
+    const wordStart = getWordStarts(countryName).find((index) => countryName.startsWith(searchValue, index));
+    if (wordStart !== undefined) {
+      return { rank: MATCH_RANKS.wordStart, distance: 0, start: wordStart, end: wordStart + searchValue.length };
     }
 
-    if (options.matchIso) {
-      matchTypes.iso = normalizeString(iso ?? '') == searchValue;
+    // The currency code and symbol, like `eur €`
+    if (currency.split(/\s+/).some((part) => part && part.startsWith(searchValue))) {
+      return { rank: MATCH_RANKS.currency, distance: 0 };
     }
 
-    if (options.matchAlias) {
-      const countryAliases = aliases?.split(',').map((alias) => normalizeString(alias));
+    const index = countryName.indexOf(searchValue);
+    if (index !== -1) return { rank: MATCH_RANKS.label, distance: 0, start: index, end: index + searchValue.length };
 
-      if (!countryAliases) return matchTypes;
+    const fuzzyMatch = findFuzzyMatch(countryName, searchValue);
+    if (fuzzyMatch) return { rank: MATCH_RANKS.fuzzy, ...fuzzyMatch };
 
-      matchTypes.alias =
-        countryAliases.length > 0 &&
-        countryAliases.find((alias) =>
-          options.aliasExactMatch ? alias === searchValue : alias.startsWith(searchValue)
-        ) !== undefined;
-    }
-
-    return matchTypes;
+    return null;
   }
 
   /**
-   * Highlights matching text in a string by wrapping it in <mark> tags.
+   * Highlights the matching part of a country name. Like the rest of the list, the parts that don't match
+   * the search value are wrapped in <mark> tags.
    *
-   * @param {string | null} text - The text to highlight.
-   * @param {string} searchValue - The search value to highlight.
-   * @returns {string} The text with matching parts wrapped in <mark> tags.
+   * @param {Element} countrySpan - The element with the country name.
+   * @param {CountryMatch | null} match - The match, without a range when the name itself didn't match.
    */
-  #highlightMatches(text, searchValue) {
-    if (!text || !searchValue) return text ?? '';
-
-    const normalizedText = normalizeString(text);
-    const normalizedSearch = normalizeString(searchValue);
-    const startIndex = normalizedText.indexOf(normalizedSearch);
-
-    if (startIndex === -1) return text;
-
-    const endIndex = startIndex + normalizedSearch.length;
-    const before = text.slice(0, startIndex);
-    const match = text.slice(startIndex, endIndex);
-    const after = text.slice(endIndex);
-
-    let result = '';
-    if (before) {
-      result += `<mark>${before}</mark>`;
-    }
-    result += match;
-    if (after) {
-      result += `<mark>${after}</mark>`;
+  #highlightMatch(countrySpan, match) {
+    const text = countrySpan.textContent ?? '';
+
+    // Removing accents doesn't change the length of most names, the others aren't highlighted
+    if (
+      !match ||
+      match.start === undefined ||
+      match.end === undefined ||
+      normalizeString(text).length !== text.length
+    ) {
+      countrySpan.textContent = text;
+      return;
     }
-    return result;
+
+    /** @param {string} part */
+    const createMark = (part) => {
+      const mark = document.createElement('mark');
+      mark.textContent = part;
+      return mark;
+    };
+
+    const before = text.slice(0, match.start);
+    const after = text.slice(match.end);
+
+    countrySpan.replaceChildren(
+      ...(before ? [createMark(before)] : []),
+      text.slice(match.start, match.end),
+      ...(after ? [createMark(after)] : [])
+    );
   }
 
   /**
-   * Filters the countries based on the search value.
+   * Filters the countries based on the search value, showing the best matches first.
    */
   filterCountries() {
     const { countryList, countryListItems, liveRegion, noResultsMessage, popularCountries, resetButton, search } =
       this.refs;
     const { labelResultsCount } = this.dataset;
-    const searchValue = normalizeString(search.value);
+    const searchValue = normalizeString(search.value.trim());
     let countVisibleCountries = 0;
 
     resetButton.toggleAttribute('hidden', !searchValue);
 
     if (popularCountries) {
-      popularCountries.toggleAttribute('hidden', Boolean(searchValue));
+      popularCountries.toggleAttribute('hidden', Boolean(searchValue) || !popularCountries.querySelector('li'));
     }
 
     const wrapper = this.querySelector('.country-selector-form__wrapper');
@@ -273,32 +275,43 @@ class LocalizationFormComponent extends Component {
       wrapper.classList.toggle('is-searching', !!searchValue);
     }
 
+    /** @type {Map<HTMLElement, CountryMatch>} */
+    const matches = new Map();
+
     for (const countryEl of countryListItems) {
-      if (searchValue === '') {
-        countryEl.removeAttribute('hidden');
-        const countrySpan = countryEl.querySelector('.country');
-        if (countrySpan) {
-          // eslint-disable-next-line no-self-assign
-          countrySpan.textContent = countrySpan.textContent;
-        }
-        countVisibleCountries++;
-      } else {
-        const matches = this.#findMatches(searchValue, countryEl);
-
-        // In the future, we could reorder/rank filtered results based on the match types
-        if (matches.label || matches.alias || matches.iso || matches.currency) {
-          countryEl.removeAttribute('hidden');
-          const countrySpan = countryEl.querySelector('.country');
-          if (countrySpan) {
-            countrySpan.innerHTML = this.#highlightMatches(countrySpan.textContent, searchValue);
-          }
-          countVisibleCountries++;
-        } else {
-          countryEl.setAttribute('hidden', '');
-        }
+      // The recent and popular countries are hidden while searching, they're listed with the others
+      if (searchValue && popularCountries?.contains(countryEl)) continue;
+
+      const match = searchValue ? this.#matchCountry(searchValue, countryEl) : null;
+      const countrySpan = countryEl.querySelector('.country');
+
+      if (searchValue && !match) {
+        countryEl.setAttribute('hidden', '');
+        continue;
       }
+
+      countryEl.removeAttribute('hidden');
+      if (countrySpan) this.#highlightMatch(countrySpan, match);
+      if (match) matches.set(countryEl, match);
+      countVisibleCountries++;
     }
 
+    const list = this.querySelector('.countries');
+    const countries = /** @type {HTMLElement[]} */ (Array.from(list?.querySelectorAll(':scope > li') ?? []));
+
+    countries.sort((a, b) => {
+      const matchA = matches.get(a);
+      const matchB = matches.get(b);
+
+      return (
+        (matchA?.rank ?? 0) - (matchB?.rank ?? 0) ||
+        (matchA?.distance ?? 0) - (matchB?.distance ?? 0) ||
+        Number(a.dataset.index) - Number(b.dataset.index)
+      );
+    });
+
+    list?.append(...countries);
+
     if (liveRegion && labelResultsCount) {
       liveRegion.innerText = labelResultsCount.replace('[count]', `${countVisibleCountries}`);
     }
@@ -307,14 +320,32 @@ class LocalizationFormComponent extends Component {
     countryList.scrollTop = 0;
   }
 
+  /**
+   * Adds the countries the shopper picked recently at the top of the popular ones.
+   */
+  #renderRecentCountries() {
+    const { popularCountries } = this.refs;
+    if (!popularCountries) return;
+
+    // The most recent country is added last, so it ends up first
+    for (const iso of getRecentCountries().reverse()) {
+      const popularCountry = popularCountries.querySelector(`li[data-value="${iso}"]`);
+      const country = this.querySelector(`.countries > li[data-value="${iso}"]`);
+      const recentCountry = popularCountry ?? country?.cloneNode(true);
+
+      if (recentCountry) popularCountries.prepend(recentCountry);
+    }
+
+    popularCountries.hidden = !popularCountries.querySelector('li');
+  }
+
   /**
    * Changes the focus of the country list items.
    *
    * @param {string} direction - The direction to change the focus.
    */
   #changeCountryFocus(direction) {
-    const { countryListItems } = this.refs;
-    const focusableItems = countryListItems.filter((item) => !item.hasAttribute('hidden'));
+    const focusableItems = this.#getFocusableCountries();
     const focusedItemIndex = focusableItems.findIndex((item) => item === document.activeElement);
     const focusedItem = focusableItems[focusedItemIndex];
     let itemToFocus;
@@ -334,6 +365,18 @@ class LocalizationFormComponent extends Component {
     itemToFocus?.focus();
   }
 
+  /**
+   * Gets the countries that can be focused, in the order they're listed.
+   * Queried directly, as the refs are only refreshed after the countries are reordered.
+   *
+   * @returns {HTMLElement[]} The visible countries.
+   */
+  #getFocusableCountries() {
+    const countries = /** @type {HTMLElement[]} */ (Array.from(this.querySelectorAll('.localization-form__list li')));
+
+    return countries.filter((item) => !item.closest('[hidden]'));
+  }
+
   /**
    * Resets the countries filter.
    *
@@ -403,6 +446,77 @@ class LocalizationFormComponent extends Component {
   };
 }
 
+/**
+ * @returns {string[]} The ISO codes of the countries the shopper picked recently, the most recent first
+ */
+function getRecentCountries() {
+  try {
+    const countries = JSON.parse(localStorage.getItem(RECENT_COUNTRIES_KEY) ?? '[]');
+    return Array.isArray(countries) ? countries.filter((country) => typeof country === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * @param {string} country - The ISO code of the country the shopper picked
+ */
+function addRecentCountry(country) {
+  if (!country) return;
+
+  const countries = [country, ...getRecentCountries().filter((recent) => recent !== country)];
+
+  try {
+    localStorage.setItem(RECENT_COUNTRIES_KEY, JSON.stringify(countries.slice(0, MAX_RECENT_COUNTRIES)));
+  } catch (error) {
+    console.error('Failed to save the recent countries:', error);
+  }
+}
+
+/**
+ * @param {string} text - The normalized text
+ * @returns {number[]} The indexes where the words of the text start, like `0` and `5` for `cote d'ivoire`
+ */
+function getWordStarts(text) {
+  const starts = [];
+
+  for (let index = 0; index < text.length; index++) {
+    if (index === 0 || /[\s\-'’(]/.test(text[index - 1] ?? '')) starts.push(index);
+  }
+
+  return starts;
+}
+
+/**
+ * Finds the start of a word that is the closest to the search value, allowing a typo in short search values and two
+ * in longer ones. Example: findFuzzyMatch('switzerland', 'swizerland') → { distance: 1, start: 0, end: 11 }
+ * @param {string} text - The normalized text to search in
+ * @param {string} searchValue - The normalized search value
+ * @returns {{ distance: number, start: number, end: number } | null} The closest match, if it's close enough
+ */
+function findFuzzyMatch(text, searchValue) {
+  const maxDistance = searchValue.length < 3 ? 0 : searchValue.length < 6 ? 1 : 2;
+  if (!maxDistance) return null;
+
+  /** @type {{ distance: number, start: number, end: number } | null} */
+  let bestMatch = null;
+
+  for (const start of getWordStarts(text)) {
+    const minLength = Math.max(1, searchValue.length - maxDistance);
+    const maxLength = Math.min(text.length - start, searchValue.length + maxDistance);
+
+    for (let length = minLength; length <= maxLength; length++) {
+      const distance = getEditDistance(text.slice(start, start + length), searchValue);
+
+      if (distance <= maxDistance && (!bestMatch || distance < bestMatch.distance)) {
+        bestMatch = { distance, start, end: start + length };
+      }
+    }
+  }
+
+  return bestMatch;
+}
+
 /**
  * A custom element that displays a dropdown localization form.
  *
@@ -58,6 +58,15 @@ const CURRENCY_DECIMALS = {
   XUA: 0,
 };
 
+/**
+ * Gets the number of decimals of a currency
+ * @param {string} currency - The currency code
+ * @returns {number} The number of decimals, 2 for most currencies
+ */
+export function getCurrencyDecimals(currency) {
+  return CURRENCY_DECIMALS[currency.toUpperCase()] ?? DEFAULT_CURRENCY_DECIMALS;
+}
+
 /**
  * Parses a money string into minor units (the smallest denomination of a currency).
  * Does not assume the money string is formatted in a specific way, aims to be resilient to user input.
@@ -144,37 +153,35 @@ function formatCents(moneyValue, thousandsSeparator, decimalSeparator, precision
 }
 
 /**
- * Formats money, replicating the implementation of the `money` liquid filters
- * @param {number} moneyValue - The money value in minor units
- * @param {string} format - The Shopify's money format template (e.g., '{{amount}}', '${{amount}}')
- * @param {string} currency - The currency code (e.g., 'USD', 'JPY')
- * @returns {string} The formatted money value
+ * @typedef {object} PlaceholderFormat
+ * @property {string} thousandsSeparator - The thousands separator
+ * @property {string} decimalSeparator - The decimal separator
+ * @property {number} precision - The display precision
  */
-export function formatMoney(moneyValue, format, currency) {
-  // Calculate divisor based on currency's native precision
-  const currencyPrecision = CURRENCY_DECIMALS[currency.toUpperCase()] ?? DEFAULT_CURRENCY_DECIMALS;
-  const divisor = Math.pow(10, currencyPrecision);
 
-  return format.replace(/{{\s*(\w+)\s*}}/g, (_, placeholder) => {
-    if (typeof placeholder !== 'string') return '';
-    if (placeholder === 'currency') return currency;
-
-    let thousandsSeparator = ',';
-    let decimalSeparator = '.';
-    let precision = currencyPrecision;
+/**
+ * Gets how the amount of a money format placeholder is written, like the `money` liquid filters
+ * @param {string} placeholder - The placeholder (e.g., 'amount', 'amount_with_comma_separator')
+ * @param {number} currencyPrecision - The number of decimals of the currency
+ * @returns {PlaceholderFormat} The separators and precision of the placeholder
+ */
+function getPlaceholderFormat(placeholder, currencyPrecision) {
+  let thousandsSeparator = ',';
+  let decimalSeparator = '.';
+  let precision = currencyPrecision;
 
-    switch (placeholder) {
-      case 'amount':
+  switch (placeholder) {
+    case 'amount':
       // Check first since it's the most common, use defaults.
-        break;
-      case 'amount_no_decimals':
-        precision = 0;
-        break;
-      case 'amount_with_comma_separator':
+      break;
+    case 'amount_no_decimals':
+      precision = 0;
+      break;
+    case 'amount_with_comma_separator':
       thousandsSeparator = '.';
       decimalSeparator = ',';
       break;
-      case 'amount_no_decimals_with_comma_separator':
+    case 'amount_no_decimals_with_comma_separator':
       // Weirdly, this is correct. It uses amount_with_comma_separator's
       // behaviour but removes decimals, resulting in an unintuitive
       // output that can't possibly include commas, despite the name.
@@ -199,8 +206,158 @@ export function formatMoney(moneyValue, format, currency) {
       break;
     default:
       break;
-    }
+  }
+
+  return { thousandsSeparator, decimalSeparator, precision };
+}
+
+/**
+ * Formats money, replicating the implementation of the `money` liquid filters
+ * @param {number} moneyValue - The money value in minor units
+ * @param {string} format - The Shopify's money format template (e.g., '{{amount}}', '${{amount}}')
+ * @param {string} currency - The currency code (e.g., 'USD', 'JPY')
+ * @returns {string} The formatted money value
+ */
+export function formatMoney(moneyValue, format, currency) {
+  // Calculate divisor based on currency's native precision
+  const currencyPrecision = CURRENCY_DECIMALS[currency.toUpperCase()] ?? DEFAULT_CURRENCY_DECIMALS;
+  const divisor = Math.pow(10, currencyPrecision);
+
+  return format.replace(/{{\s*(\w+)\s*}}/g, (_, placeholder) => {
+    if (typeof placeholder !== 'string') return '';
+    if (placeholder === 'currency') return currency;
+
+    const { thousandsSeparator, decimalSeparator, precision } = getPlaceholderFormat(placeholder, currencyPrecision);
 
     return formatCents(moneyValue, thousandsSeparator, decimalSeparator, precision, divisor);
   });
 }
+
+/**
+ * @typedef {object} LocalizedMoneyOptions
+ * @property {string} [locale] - The locale, defaults to the locale of the storefront
+ * @property {'standard' | 'compact'} [notation] - Compact notation shortens amounts from a thousand, like `$1.2K`
+ * @property {'standard' | 'accounting'} [currencySign] - Accounting notation wraps negative amounts in parentheses
+ * @property {boolean} [isolate] - Whether to isolate the amount in right to left text, defaults to true.
+ * Values of inputs are submitted as they are, so they mustn't be isolated.
+ */
+
+/**
+ * Languages written right to left
+ * @type {string[]}
+ */
+const RTL_LANGUAGES = ['ar', 'dv', 'fa', 'he', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi'];
+
+/**
+ * Number formats by locale and options, as creating them is slow
+ * @type {Map<string, Intl.NumberFormat>}
+ */
+const numberFormats = new Map();
+
+/**
+ * Gets a number format, falling back to English when the locale isn't supported
+ * @param {string} locale - The locale
+ * @param {Intl.NumberFormatOptions} options - The options of the format
+ * @returns {Intl.NumberFormat} The number format
+ */
+function getNumberFormat(locale, options) {
+  const key = `${locale}:${JSON.stringify(options)}`;
+  let numberFormat = numberFormats.get(key);
+
+  if (!numberFormat) {
+    // Digits are always latin, like the ones of the `money` liquid filters
+    const formatOptions = { ...options, numberingSystem: 'latn' };
+
+    try {
+      numberFormat = new Intl.NumberFormat(locale, formatOptions);
+    } catch {
+      numberFormat = new Intl.NumberFormat('en', formatOptions);
+    }
+
+    numberFormats.set(key, numberFormat);
+  }
+
+  return numberFormat;
+}
+
+/**
+ * Formats money with `Intl.NumberFormat`, in the locale of the storefront.
+ * The placeholders are written like the `money` liquid filters, with the same separators, precision and groups of
+ * three digits, while the locale drives compact notation, the minus sign and the direction of the text.
+ * Example: formatLocalizedMoney(123456, '${{amount}}', 'USD', { notation: 'compact' }) → "$1.2K"
+ * Example: formatLocalizedMoney(-1050, '{{amount_with_comma_separator}} €', 'EUR', { currencySign: 'accounting' }) → "(10,50 €)"
+ * @param {number} moneyValue - The money value in minor units
+ * @param {string} format - The Shopify's money format template (e.g., '{{amount}}', '${{amount}}')
+ * @param {string} currency - The currency code (e.g., 'USD', 'JPY')
+ * @param {LocalizedMoneyOptions} [options] - The formatting options
+ * @returns {string} The formatted money value
+ */
+export function formatLocalizedMoney(moneyValue, format, currency, options = {}) {
+  const { locale = Shopify.locale, notation = 'standard', currencySign = 'standard', isolate = true } = options;
+  const currencyPrecision = getCurrencyDecimals(currency);
+  const amount = Math.abs(moneyValue) / Math.pow(10, currencyPrecision);
+
+  // Amounts under a thousand are as short as they get
+  const compact = notation === 'compact' && amount >= 1000;
+
+  const formatted = format.replace(/{{\s*(\w+)\s*}}/g, (_, placeholder) => {
+    if (typeof placeholder !== 'string') return '';
+    if (placeholder === 'currency') return currency;
+
+    const { thousandsSeparator, decimalSeparator, precision } = getPlaceholderFormat(placeholder, currencyPrecision);
+    let parts = getNumberFormat(locale, {
+      minimumFractionDigits: precision,
+      maximumFractionDigits: precision,
+    }).formatToParts(amount);
+
+    if (compact) {
+      const compactParts = getNumberFormat(locale, {
+        notation: 'compact',
+        maximumFractionDigits: Math.min(precision, 1),
+      }).formatToParts(amount);
+
+      // Some locales only shorten larger amounts, like German from a million
+      if (compactParts.some(({ type }) => type === 'compact')) parts = compactParts;
+    }
+
+    const integer = parts
+      .filter(({ type }) => type === 'integer')
+      .map(({ value }) => value)
+      .join('');
+
+    // Some locales group digits differently, like `1,00,000` in India, the `money` liquid filters group them by three
+    const groupedInteger = integer.replace(/\d(?=(\d\d\d)+(?!\d))/g, (digit) => digit + thousandsSeparator);
+    let integerWritten = false;
+
+    return parts
+      .map(({ type, value }) => {
+        switch (type) {
+          case 'integer':
+            if (integerWritten) return '';
+            integerWritten = true;
+            return groupedInteger;
+          case 'group':
+            return '';
+          case 'decimal':
+            return decimalSeparator;
+          default:
+            return value;
+        }
+      })
+      .join('');
+  });
+
+  let result = formatted;
+
+  if (moneyValue < 0) {
+    const minusSign = getNumberFormat(locale, {})
+      .formatToParts(-1)
+      .find(({ type }) => type === 'minusSign');
+
+    result = currencySign === 'accounting' ? `(${formatted})` : `${minusSign?.value ?? '-'}${formatted}`;
+  }
+
+  // Money formats are written left to right, isolating them keeps the symbol on its side in right to left text
+  const language = (locale.split('-')[0] ?? '').toLowerCase();
+  return isolate && RTL_LANGUAGES.includes(language) ? `\u2066${result}\u2069` : result;
+}
@@ -0,0 +1,92 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { morph } from '@theme/morph';
+
+/**
+ * A custom element that lets shoppers ask to be emailed when a sold out variant is back in stock.
+ * The request is sent through the contact form, and the element shows up for sold out variants only.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} fields - The email field and submit button.
+ * @property {HTMLButtonElement} submitButton - The submit button.
+ * @property {HTMLElement} message - The success or error message.
+ *
+ * @extends {Component<Refs>}
+ */
+class NotifyMeComponent extends Component {
+  requiredRefs = ['fields', 'submitButton', 'message'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const closestSection = this.closest('.shopify-section, dialog');
+    closestSection?.addEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    const closestSection = this.closest('.shopify-section, dialog');
+    closestSection?.removeEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate);
+  }
+
+  /**
+   * Shows the form for the new variant when it's sold out.
+   * @param {VariantUpdateEvent} event - The variant update event
+   */
+  #handleVariantUpdate = (event) => {
+    if (event.detail.data.newProduct) {
+      this.dataset.productId = event.detail.data.newProduct.id;
+    } else if (event.detail.data.productId !== this.dataset.productId) {
+      return;
+    }
+
+    const newNotifyMe = event.detail.data.html.querySelector(`notify-me-component[id="${this.id}"]`);
+
+    if (!newNotifyMe) {
+      this.hidden = true;
+      return;
+    }
+
+    morph(this, newNotifyMe);
+  };
+
+  /**
+   * Sends the form in the background, so shoppers stay on the product.
+   * @param {SubmitEvent} event - The submit event
+   */
+  async handleSubmit(event) {
+    const form = this.querySelector('form');
+    if (!form) return;
+
+    event.preventDefault();
+
+    const { fields, submitButton, message } = this.refs;
+
+    submitButton.disabled = true;
+    message.textContent = '';
+
+    try {
+      const response = await fetch(form.action, { method: 'POST', body: new FormData(form) });
+      const posted = new URL(response.url).searchParams.get('contact_posted') === 'true';
+
+      if (!posted) {
+        // The store may ask for a captcha, which only the regular form submission can show
+        form.submit();
+        return;
+      }
+
+      fields.hidden = true;
+      message.textContent = message.dataset.successText || '';
+    } catch (error) {
+      console.error(error);
+      message.textContent = message.dataset.errorText || '';
+    } finally {
+      submitButton.disabled = false;
+    }
+  }
+}
+
+if (!customElements.get('notify-me-component')) {
+  customElements.define('notify-me-component', NotifyMeComponent);
+}
@@ -1,10 +1,82 @@
 import { Component } from '@theme/component';
-import { debounce, onAnimationEnd, prefersReducedMotion } from '@theme/utilities';
+import { debounce, getEditDistance, normalizeString, onAnimationEnd, prefersReducedMotion } from '@theme/utilities';
 import { sectionRenderer } from '@theme/section-renderer';
 import { morph } from '@theme/morph';
 import { RecentlyViewed } from '@theme/recently-viewed-products';
+import { RecentlyViewedUpdateEvent, ThemeEvents } from '@theme/events';
 import { DialogCloseEvent, DialogOpenEvent, DialogComponent } from '@theme/dialog';
 
+// How many search results are kept in memory, the least recently used ones are dropped first
+const CACHE_SIZE = 20;
+
+// The key used to remember the recent searches of the shopper in local storage
+const HISTORY_STORAGE_KEY = 'searchHistory';
+
+// How many recent searches are shown in the empty state
+const HISTORY_SIZE = 5;
+
+// The key used to remember the words of the product titles found so far in local storage
+const INDEX_STORAGE_KEY = 'searchIndex';
+
+// How many words are kept in the index, the oldest ones are dropped first
+const INDEX_SIZE = 500;
+
+/**
+ * The markup of the search results of the latest queries, keyed by normalized query.
+ */
+class SearchResultsCache {
+  /** @type {Map<string, string>} */
+  #entries = new Map();
+
+  /**
+   * @param {string} query - The normalized query
+   * @returns {string | undefined} The markup of the results, if cached
+   */
+  get(query) {
+    const markup = this.#entries.get(query);
+    if (markup === undefined) return undefined;
+
+    // Reinserting the entry marks it as the most recently used
+    this.#entries.delete(query);
+    this.#entries.set(query, markup);
+
+    return markup;
+  }
+
+  /**
+   * @param {string} query - The normalized query
+   * @param {string} markup - The markup of the results
+   */
+  set(query, markup) {
+    this.#entries.delete(query);
+    this.#entries.set(query, markup);
+
+    if (this.#entries.size > CACHE_SIZE) {
+      const [leastRecentlyUsed] = this.#entries.keys();
+      if (leastRecentlyUsed !== undefined) this.#entries.delete(leastRecentlyUsed);
+    }
+  }
+
+  /**
+   * Finds the results of the longest cached query the query starts with, like `shi` for `shir`.
+   * @param {string} query - The normalized query
+   * @returns {string | undefined} The markup of the results, if a shorter query is cached
+   */
+  getPrefix(query) {
+    let prefix = '';
+
+    for (const key of this.#entries.keys()) {
+      if (key.length > prefix.length && key.length < query.length && query.startsWith(key)) prefix = key;
+    }
+
+    return prefix ? this.get(prefix) : undefined;
+  }
+
+  clear() {
+    this.#entries.clear();
+  }
+}
+
 /**
  * A custom element that allows the user to search for resources available on the store.
  *
@@ -30,6 +102,8 @@ class PredictiveSearchComponent extends Component {
 
   #emptyStateLoaded = false;
 
+  #cache = new SearchResultsCache();
+
   /**
    * Get the dialog component.
    * @returns {DialogComponent | null} The dialog component.
@@ -56,6 +130,14 @@ class PredictiveSearchComponent extends Component {
       this.addEventListener('click', this.#handleModalClick, { signal });
     }
 
+    document.addEventListener(ThemeEvents.recentlyViewedUpdate, this.#handleRecentlyViewedUpdate, { signal });
+    document.addEventListener(ThemeEvents.currencyUpdate, this.#handleCurrencyUpdate, { signal });
+
+    this.addEventListener('click', this.#handleResultClick, { signal });
+    this.addEventListener('submit', this.#handleSubmit, { signal });
+
+    renderSearchHistory(this.refs.predictiveSearchResults);
+
     if (RecentlyViewed.getProducts().length > 0) {
       requestIdleCallback(() => {
         this.#loadEmptyState();
@@ -110,6 +192,51 @@ class PredictiveSearchComponent extends Component {
     }
   };
 
+  /**
+   * Re-renders the recently viewed products when they change, e.g. in another tab.
+   * @param {Event} event - The recently viewed update event.
+   */
+  #handleRecentlyViewedUpdate = (event) => {
+    if (!(event instanceof RecentlyViewedUpdateEvent)) return;
+
+    // Clearing the products from this component animates them out instead
+    if (event.detail.sourceId === 'predictive-search') return;
+
+    // The empty state is rendered with the latest products once it's loaded
+    if (!this.#emptyStateLoaded) return;
+
+    // The products are rendered again when the search is reset
+    if (this.refs.searchInput.value.trim().length > 0) return;
+
+    this.#resetSearch();
+  };
+
+  /**
+   * The cached results show prices in the previous currency.
+   */
+  #handleCurrencyUpdate = () => {
+    this.#cache.clear();
+  };
+
+  /**
+   * Remembers what the shopper searched for when they open a result.
+   * @param {MouseEvent} event - The mouse event
+   */
+  #handleResultClick = (event) => {
+    const link = event.target instanceof Element ? event.target.closest('a') : null;
+    if (!link || !this.refs.predictiveSearchResults.contains(link)) return;
+
+    // Query suggestions and recent searches link to the search page with their own query
+    const url = new URL(link.href, location.origin);
+    const isSearchUrl = url.pathname === new URL(Theme.routes.search_url, location.origin).pathname;
+
+    addToSearchHistory((isSearchUrl && url.searchParams.get('q')) || this.refs.searchInput.value);
+  };
+
+  #handleSubmit = () => {
+    addToSearchHistory(this.refs.searchInput.value);
+  };
+
   #loadEmptyState() {
     if (this.#emptyStateLoaded) return;
     this.#emptyStateLoaded = true;
@@ -222,6 +349,7 @@ class PredictiveSearchComponent extends Component {
         const singleResultContainer = this.refs.predictiveSearchResults.querySelector('[data-single-result-url]');
         if (singleResultContainer instanceof HTMLElement && singleResultContainer.dataset.singleResultUrl) {
           event.preventDefault();
+          addToSearchHistory(this.refs.searchInput.value);
           window.location.href = singleResultContainer.dataset.singleResultUrl;
           return;
         }
@@ -230,6 +358,8 @@ class PredictiveSearchComponent extends Component {
           event.preventDefault();
           this.#currentItem?.querySelector('a')?.click();
         } else {
+          addToSearchHistory(this.refs.searchInput.value);
+
           const searchUrl = new URL(Theme.routes.search_url, location.origin);
           searchUrl.searchParams.set('q', this.refs.searchInput.value);
           window.location.href = searchUrl.toString();
@@ -246,7 +376,7 @@ class PredictiveSearchComponent extends Component {
   clearRecentlyViewedProducts(event) {
     event.stopPropagation();
 
-    RecentlyViewed.clearProducts();
+    RecentlyViewed.clearProducts('predictive-search');
 
     const { recentlyViewedItems, recentlyViewedTitle, recentlyViewedWrapper } = this.refs;
 
@@ -265,6 +395,40 @@ class PredictiveSearchComponent extends Component {
     }
   }
 
+  /**
+   * Clears the recent searches.
+   * @param {Event} event - The event.
+   */
+  clearSearchHistory(event) {
+    event.stopPropagation();
+
+    try {
+      localStorage.removeItem(HISTORY_STORAGE_KEY);
+    } catch (error) {
+      console.error('Failed to clear the search history:', error);
+    }
+
+    renderSearchHistory(this.refs.predictiveSearchResults);
+    this.refs.searchInput.focus();
+  }
+
+  /**
+   * Searches for the spelling suggested when a search has no results.
+   * @param {MouseEvent} event - The click event.
+   */
+  searchSuggestion(event) {
+    const query = event.target instanceof HTMLElement ? event.target.dataset.query : undefined;
+    if (!query) return;
+
+    const { searchInput } = this.refs;
+
+    searchInput.value = query;
+    searchInput.focus();
+    this.#currentIndex = -1;
+    this.#showResetButton();
+    this.#getSearchResults(query);
+  }
+
   /**
    * Reset the search state.
    * @param {boolean} [keepFocus=true] - Whether to keep focus on input after reset
@@ -308,6 +472,7 @@ class PredictiveSearchComponent extends Component {
 
   /**
    * Fetch search results using the section renderer and update the results container.
+   * Results are cached by query, and the results of a shorter query are shown while the new ones load.
    * @param {string} searchTerm - The term to search for
    */
   async #getSearchResults(searchTerm) {
@@ -318,9 +483,21 @@ class PredictiveSearchComponent extends Component {
     url.searchParams.set('resources[limit_scope]', 'each');
 
     const { predictiveSearchResults } = this.refs;
+    const query = normalizeQuery(searchTerm);
+    const useCache = !Shopify.designMode;
 
     const abortController = this.#createAbortController();
 
+    const cachedMarkup = useCache ? this.#cache.get(query) : undefined;
+    if (cachedMarkup) {
+      this.#renderResults(cachedMarkup, query);
+      return;
+    }
+
+    const prefixMarkup = useCache ? this.#cache.getPrefix(query) : undefined;
+    const previewResults = prefixMarkup ? getPreviewResults(prefixMarkup, query) : null;
+    if (previewResults) morph(predictiveSearchResults, previewResults);
+
     sectionRenderer
       .getSectionHTML(this.dataset.sectionId, false, url)
       .then((resultsMarkup) => {
@@ -328,9 +505,8 @@ class PredictiveSearchComponent extends Component {
 
         if (abortController.signal.aborted) return;
 
-        morph(predictiveSearchResults, resultsMarkup);
-
-        this.#resetScrollPositions();
+        if (useCache) this.#cache.set(query, resultsMarkup);
+        this.#renderResults(resultsMarkup, query);
       })
       .catch((error) => {
         if (abortController.signal.aborted) return;
@@ -338,6 +514,46 @@ class PredictiveSearchComponent extends Component {
       });
   }
 
+  /**
+   * Shows search results, with a spelling suggestion when there are none.
+   * @param {string} markup - The markup of the search results section
+   * @param {string} query - The normalized query
+   */
+  #renderResults(markup, query) {
+    const results = parseSectionMarkup(markup);
+    if (!results) return;
+
+    addToSearchIndex(results);
+
+    const noResults = results.querySelector('.predictive-search-results__no-results');
+    const suggestion = noResults ? getSpellingSuggestion(query) : null;
+    if (noResults && suggestion) noResults.append(this.#createSuggestion(suggestion));
+
+    morph(this.refs.predictiveSearchResults, results);
+    this.#resetScrollPositions();
+  }
+
+  /**
+   * @param {string} suggestion - The suggested query
+   * @returns {HTMLElement} The "did you mean" message, searching for the suggestion when clicked
+   */
+  #createSuggestion(suggestion) {
+    const [before = '', after = ''] = (this.dataset.didYouMeanText ?? '').split('{{ query }}');
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'button-unstyled predictive-search-results__suggestion-button';
+    button.dataset.query = suggestion;
+    button.setAttribute('on:click', '/searchSuggestion');
+    button.textContent = suggestion;
+
+    const message = document.createElement('span');
+    message.className = 'predictive-search-results__suggestion';
+    message.append(before, button, after);
+
+    return message;
+  }
+
   /**
    * Fetch the markup for the recently viewed products.
    * @returns {Promise<string | null>} The markup for the recently viewed products.
@@ -420,11 +636,208 @@ class PredictiveSearchComponent extends Component {
 
     if (abortController.signal.aborted) return;
 
+    addToSearchIndex(parsedEmptySectionMarkup);
+    renderSearchHistory(parsedEmptySectionMarkup);
+
     morph(predictiveSearchResults, parsedEmptySectionMarkup);
     this.#resetScrollPositions();
   };
 }
 
+/**
+ * Normalizes a query so searches differing only in case, accents or spacing share their results.
+ * @param {string} query - The query
+ * @returns {string} The normalized query
+ */
+function normalizeQuery(query) {
+  return normalizeString(query.trim()).replace(/\s+/g, ' ');
+}
+
+/**
+ * @param {string} markup - The markup of a section
+ * @returns {Element | null} The section element
+ */
+function parseSectionMarkup(markup) {
+  return new DOMParser().parseFromString(markup, 'text/html').body.firstElementChild;
+}
+
+/**
+ * Keeps the query suggestions and products of a shorter query that match the query, to show while its own
+ * results load.
+ * @param {string} markup - The markup of the search results of the shorter query
+ * @param {string} query - The normalized query
+ * @returns {Element | null} The matching results, or null if none match
+ */
+function getPreviewResults(markup, query) {
+  const results = parseSectionMarkup(markup);
+  const inner = results?.querySelector('[data-search-results]');
+  if (!results || !inner) return null;
+
+  const words = query.split(' ');
+
+  for (const item of inner.querySelectorAll(
+    '.predictive-search-results__card--query, .predictive-search-results__card--product'
+  )) {
+    const text = normalizeString((item.querySelector('.resource-card__title') ?? item).textContent ?? '');
+    if (!words.every((word) => text.includes(word))) item.remove();
+  }
+
+  // The other resources are shown in carousels, and the status and single result describe the shorter query
+  let hasResults = false;
+
+  for (const child of Array.from(inner.children)) {
+    if (
+      child.matches('.predictive-search-results__wrapper-queries, #predictive-search-products') &&
+      child.querySelector('li')
+    ) {
+      hasResults = true;
+    } else {
+      child.remove();
+    }
+  }
+
+  return hasResults ? results : null;
+}
+
+/**
+ * @returns {string[]} The recent searches of the shopper, the latest first
+ */
+function getSearchHistory() {
+  try {
+    const history = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY) || '[]');
+    return Array.isArray(history) ? history.filter((query) => typeof query === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Adds a query to the recent searches, replacing the same search made before.
+ * @param {string} query - The query
+ */
+function addToSearchHistory(query) {
+  const trimmedQuery = query.trim();
+  if (!trimmedQuery) return;
+
+  const normalizedQuery = normalizeQuery(trimmedQuery);
+  const history = [
+    trimmedQuery,
+    ...getSearchHistory().filter((previousQuery) => normalizeQuery(previousQuery) !== normalizedQuery),
+  ].slice(0, HISTORY_SIZE);
+
+  try {
+    localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(history));
+  } catch (error) {
+    console.error('Failed to save the search history:', error);
+  }
+}
+
+/**
+ * Shows the recent searches in an empty state, as links to the search page.
+ * @param {Element} root - The element containing the empty state
+ */
+function renderSearchHistory(root) {
+  const wrapper = root.querySelector('.predictive-search-history');
+  const list = wrapper?.querySelector('ul');
+  if (!(wrapper instanceof HTMLElement) || !list) return;
+
+  const history = getSearchHistory();
+
+  list.replaceChildren(
+    ...history.map((query) => {
+      const url = new URL(Theme.routes.search_url, location.origin);
+      url.searchParams.set('q', query);
+
+      const link = document.createElement('a');
+      link.className = 'pills__pill predictive-search-results__pill';
+      link.href = `${url.pathname}${url.search}`;
+      link.textContent = query;
+
+      const item = document.createElement('li');
+      item.className = 'predictive-search-results__card--query';
+      item.setAttribute('ref', 'resultsItems[]');
+      item.append(link);
+
+      return item;
+    })
+  );
+
+  wrapper.hidden = history.length === 0;
+}
+
+/**
+ * @returns {string[]} The words of the product titles found so far, the latest first
+ */
+function getSearchIndex() {
+  try {
+    const index = JSON.parse(localStorage.getItem(INDEX_STORAGE_KEY) || '[]');
+    return Array.isArray(index) ? index.filter((word) => typeof word === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Adds the words of the product titles and query suggestions in search results to the index spelling suggestions
+ * are picked from.
+ * @param {Element} results - The search results
+ */
+function addToSearchIndex(results) {
+  const titles = results.querySelectorAll('.resource-card__title, .predictive-search-results__card--query');
+  const words = new Set();
+
+  for (const title of titles) {
+    for (const word of normalizeString(title.textContent ?? '').split(/[^\p{L}\p{N}]+/u)) {
+      if (word.length >= 3) words.add(word);
+    }
+  }
+
+  if (words.size === 0) return;
+
+  const index = [...words, ...getSearchIndex().filter((word) => !words.has(word))].slice(0, INDEX_SIZE);
+
+  try {
+    localStorage.setItem(INDEX_STORAGE_KEY, JSON.stringify(index));
+  } catch (error) {
+    console.error('Failed to save the search index:', error);
+  }
+}
+
+/**
+ * Corrects the words of a query that aren't in the index with the closest ones that are.
+ * Example: getSpellingSuggestion('blue shrit') → 'blue shirt'
+ * @param {string} query - The normalized query
+ * @returns {string | null} The corrected query, or null if no word could be corrected
+ */
+function getSpellingSuggestion(query) {
+  const index = getSearchIndex();
+  let corrected = false;
+
+  const words = query.split(' ').map((word) => {
+    if (word.length < 3 || index.some((indexedWord) => indexedWord.startsWith(word))) return word;
+
+    // Short words allow fewer typos, or most of them would match
+    const maxDistance = word.length < 6 ? 1 : 2;
+    let closestWord = word;
+    let closestDistance = maxDistance + 1;
+
+    for (const indexedWord of index) {
+      if (Math.abs(indexedWord.length - word.length) >= closestDistance) continue;
+
+      const distance = getEditDistance(word, indexedWord);
+      if (distance < closestDistance) {
+        closestWord = indexedWord;
+        closestDistance = distance;
+      }
+    }
+
+    if (closestWord !== word) corrected = true;
+    return closestWord;
+  });
+
+  return corrected ? words.join(' ') : null;
+}
+
 if (!customElements.get('predictive-search-component')) {
   customElements.define('predictive-search-component', PredictiveSearchComponent);
 }
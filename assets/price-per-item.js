@@ -1,9 +1,12 @@
 import { Component } from '@theme/component';
-import { ThemeEvents } from '@theme/events';
+import { ThemeEvents, CurrencyUpdateEvent } from '@theme/events';
+import { convertFormattedPrices } from '@theme/currency-conversion';
+import { QuantitySelectorComponent } from '@theme/component-quantity-selector';
 
 /**
  * Displays dynamic per-item pricing based on quantity and volume pricing tiers.
  * Updates automatically when quantity changes or cart is updated.
+ * Also shows how far the quantity is from the next tier, with a button that raises it to that tier.
  *
  * @typedef {Object} PriceBreak
  * @property {number} quantity - Minimum quantity for this price tier
@@ -11,6 +14,9 @@ import { ThemeEvents } from '@theme/events';
  *
  * @typedef {Object} PricePerItemRefs
  * @property {HTMLElement} [pricePerItemText] - The text element displaying the price
+ * @property {HTMLElement} [nextTier] - The progress towards the next price tier
+ * @property {HTMLElement} [nextTierProgress] - The progress bar towards the next price tier
+ * @property {HTMLButtonElement} [nextTierButton] - The button that raises the quantity to the next price tier
  *
  * @extends {Component<PricePerItemRefs>}
  */
@@ -66,6 +72,7 @@ class PricePerItemComponent extends Component {
     // Listen on document to catch all events (more reliable than form-only)
     document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#handleQuantityUpdate, { signal });
     document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate, { signal });
+    document.addEventListener(ThemeEvents.currencyUpdate, this.#handleCurrencyUpdate, { signal });
   }
 
   /**
@@ -87,6 +94,31 @@ class PricePerItemComponent extends Component {
     this.#updatePriceDisplay();
   };
 
+  /**
+   * Converts the price tiers when the prices of the page are converted to another currency
+   * @param {CurrencyUpdateEvent} event
+   */
+  #handleCurrencyUpdate = (event) => {
+    const { from, to } = event.detail;
+
+    for (const priceBreak of this.#priceBreaks) {
+      priceBreak.price = convertFormattedPrices(priceBreak.price, from, to);
+    }
+
+    this.#updatePriceDisplay();
+  };
+
+  /**
+   * Gets the quantity selector of the product form
+   * @returns {QuantitySelectorComponent | null}
+   */
+  #getQuantitySelector() {
+    const form = this.closest('product-form-component');
+    const quantitySelector = form?.querySelector('quantity-selector-component');
+
+    return quantitySelector instanceof QuantitySelectorComponent ? quantitySelector : null;
+  }
+
   /**
    * Gets the total quantity (cart + current input value)
    * @returns {number}
@@ -119,6 +151,69 @@ class PricePerItemComponent extends Component {
     if (priceBreak) {
       this.refs.pricePerItemText.innerHTML = `${this.dataset.atText} ${priceBreak.price}/${this.dataset.eachText}`;
     }
+
+    this.#updateNextTier(quantity, priceBreak);
+  }
+
+  /**
+   * Shows how many more items are needed to reach the next price tier.
+   * Hidden when there's no higher tier or the quantity rules don't allow reaching it.
+   * @param {number} quantity - The total quantity
+   * @param {PriceBreak | undefined} currentBreak - The price tier the quantity qualifies for
+   */
+  #updateNextTier(quantity, currentBreak) {
+    const { nextTier, nextTierProgress, nextTierButton } = this.refs;
+    if (!nextTier || !nextTierButton) return;
+
+    const nextTierIncrease = this.#getNextTierIncrease();
+
+    nextTier.hidden = !nextTierIncrease;
+    if (!nextTierIncrease) return;
+
+    const { next, increase } = nextTierIncrease;
+
+    const start = currentBreak && quantity >= currentBreak.quantity ? currentBreak.quantity : 0;
+    const progress = Math.min((quantity - start) / (next.quantity - start), 1);
+    nextTierProgress?.style.setProperty('--progress', progress.toString());
+
+    nextTierButton.innerHTML = (this.dataset.nextTierText ?? '')
+      .replace('{{ count }}', increase.toString())
+      .replace('{{ price }}', next.price);
+  }
+
+  /**
+   * Gets how much the quantity input needs to increase to reach the next price tier,
+   * in whole increments and without going over the maximum.
+   * @returns {{ next: PriceBreak, increase: number } | null} The next tier and the increase, or null when it can't be reached
+   */
+  #getNextTierIncrease() {
+    const quantitySelector = this.#getQuantitySelector();
+    if (!quantitySelector) return null;
+
+    const { value, step, cartQuantity } = quantitySelector.getCurrentValues();
+
+    // Price breaks are sorted descending, so the last one above the quantity is the closest
+    const higherBreaks = this.#priceBreaks.filter((pb) => pb.quantity > cartQuantity + value);
+    const next = higherBreaks[higherBreaks.length - 1];
+    if (!next) return null;
+
+    const increase = Math.ceil((next.quantity - cartQuantity - value) / step) * step;
+    const effectiveMax = quantitySelector.getEffectiveMax();
+    if (effectiveMax !== null && value + increase > effectiveMax) return null;
+
+    return { next, increase };
+  }
+
+  /**
+   * Raises the quantity input to the next price tier
+   */
+  addToNextTier() {
+    const quantitySelector = this.#getQuantitySelector();
+    const nextTierIncrease = this.#getNextTierIncrease();
+    if (!quantitySelector || !nextTierIncrease) return;
+
+    const { step } = quantitySelector.getCurrentValues();
+    quantitySelector.updateQuantity(nextTierIncrease.increase / step);
   }
 
   /**
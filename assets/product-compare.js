@@ -0,0 +1,441 @@
+import { Component } from '@theme/component';
+import { CompareUpdateEvent, ThemeEvents } from '@theme/events';
+import { formatMoney } from '@theme/money-formatting';
+
+// The key used to store the products to compare in local storage
+const STORAGE_KEY = 'compareProducts';
+
+// The maximum number of products that can be compared, more don't fit side by side
+const MAX_PRODUCTS = 4;
+
+/**
+ * @typedef {Object} CompareProduct
+ * @property {string} id - The product ID
+ * @property {string} title - The title of the product
+ * @property {string} url - The URL of the product
+ * @property {string} [image] - The image URL
+ */
+
+/**
+ * The product as rendered by the `product.compare` template
+ * @typedef {Object} ComparedProduct
+ * @property {number} id - The product ID
+ * @property {string} title - The title of the product
+ * @property {string} url - The URL of the product
+ * @property {string | null} image - The image URL
+ * @property {number} price - The price of the selected or first available variant in minor units
+ * @property {string | null} sku - The SKU of the selected or first available variant
+ * @property {string} inventory - The inventory status, e.g. "In stock"
+ * @property {{ name: string, values: string[] }[]} options - The product options
+ * @property {{ name: string, value: string | null }[]} metafields - The metafields selected in the theme settings
+ */
+
+/**
+ * Stores the products to compare in localStorage.
+ */
+export class ProductCompare {
+  /**
+   * Checks whether a product is being compared.
+   * @param {string} productId - The ID of the product.
+   * @returns {boolean} Whether the product is being compared.
+   */
+  static has(productId) {
+    return this.getProducts().some(({ id }) => id === productId);
+  }
+
+  /**
+   * Checks whether no more products can be compared.
+   * @returns {boolean} Whether the maximum number of products is being compared.
+   */
+  static isFull() {
+    return this.getProducts().length >= MAX_PRODUCTS;
+  }
+
+  /**
+   * Adds a product to the comparison, or removes it if it's already being compared.
+   * @param {CompareProduct} product - The product.
+   * @param {string} sourceId - The id of the element the action was triggered from.
+   * @returns {boolean} Whether the product is now being compared.
+   */
+  static toggle(product, sourceId) {
+    if (this.has(product.id)) {
+      this.removeProduct(product.id, sourceId);
+      return false;
+    }
+
+    if (this.isFull()) return false;
+
+    this.#setProducts([...this.getProducts(), product], sourceId);
+    return true;
+  }
+
+  /**
+   * Removes a product from the comparison.
+   * @param {string} productId - The ID of the product.
+   * @param {string} sourceId - The id of the element the action was triggered from.
+   */
+  static removeProduct(productId, sourceId) {
+    this.#setProducts(
+      this.getProducts().filter(({ id }) => id !== productId),
+      sourceId
+    );
+  }
+
+  /**
+   * Removes all the products from the comparison.
+   * @param {string} sourceId - The id of the element the action was triggered from.
+   */
+  static clear(sourceId) {
+    this.#setProducts([], sourceId);
+  }
+
+  /**
+   * Retrieves the products to compare, in the order they were added.
+   * @returns {CompareProduct[]} The products.
+   */
+  static getProducts() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * @param {CompareProduct[]} products - The products.
+   * @param {string} sourceId - The id of the element the action was triggered from.
+   */
+  static #setProducts(products, sourceId) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(products));
+    document.dispatchEvent(new CompareUpdateEvent(products, sourceId));
+  }
+}
+
+// Keep the other tabs in sync
+window.addEventListener('storage', (event) => {
+  if (event.key !== STORAGE_KEY) return;
+
+  document.dispatchEvent(new CompareUpdateEvent(ProductCompare.getProducts(), 'storage'));
+});
+
+/**
+ * A custom element that adds a product card's product to the comparison.
+ *
+ * @typedef {object} CompareCheckboxRefs
+ * @property {HTMLInputElement} checkbox - The checkbox.
+ *
+ * @extends {Component<CompareCheckboxRefs>}
+ */
+class CompareCheckboxComponent extends Component {
+  requiredRefs = ['checkbox'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.compareUpdate, this.#render);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.compareUpdate, this.#render);
+  }
+
+  /**
+   * Adds the product to the comparison or removes it.
+   */
+  toggle() {
+    const { productId, productTitle, productUrl, productImage } = this.dataset;
+    if (!productId || !productUrl) return;
+
+    ProductCompare.toggle({ id: productId, title: productTitle ?? '', url: productUrl, image: productImage }, this.id);
+  }
+
+  #render = () => {
+    const { productId } = this.dataset;
+    if (!productId) return;
+
+    const { checkbox } = this.refs;
+    checkbox.checked = ProductCompare.has(productId);
+    checkbox.disabled = !checkbox.checked && ProductCompare.isFull();
+  };
+}
+
+/**
+ * A custom element that lists the products to compare at the bottom of the page.
+ * The list opens in a floating panel so it stays within the viewport.
+ *
+ * @typedef {object} CompareTrayRefs
+ * @property {HTMLElement} count - The number of products to compare.
+ * @property {HTMLUListElement} list - The list of products.
+ * @property {HTMLTemplateElement} itemTemplate - The template of a product.
+ *
+ * @extends {Component<CompareTrayRefs>}
+ */
+class CompareTrayComponent extends Component {
+  requiredRefs = ['count', 'list', 'itemTemplate'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.compareUpdate, this.#render);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.compareUpdate, this.#render);
+  }
+
+  /**
+   * Removes a product from the comparison.
+   * @param {Event} event - The click event.
+   */
+  removeProduct(event) {
+    if (!(event.target instanceof Element)) return;
+
+    const productId = event.target.closest('li')?.dataset.productId;
+    if (productId) ProductCompare.removeProduct(productId, this.id);
+  }
+
+  /**
+   * Removes all the products from the comparison.
+   */
+  clear() {
+    ProductCompare.clear(this.id);
+  }
+
+  #render = () => {
+    const { count, list, itemTemplate } = this.refs;
+    const products = ProductCompare.getProducts();
+
+    this.hidden = products.length === 0;
+    count.textContent = products.length.toString();
+
+    list.replaceChildren(
+      ...products.map((product) => {
+        const fragment = /** @type {DocumentFragment} */ (itemTemplate.content.cloneNode(true));
+        const element = /** @type {HTMLElement} */ (fragment.firstElementChild);
+
+        element.dataset.productId = product.id;
+        renderProductLink(element, product);
+
+        return element;
+      })
+    );
+  };
+}
+
+/**
+ * A custom element that compares the products side by side.
+ * Each product is fetched with the `product.compare` template, and the rows whose values differ are highlighted.
+ *
+ * @typedef {object} ProductComparisonRefs
+ * @property {HTMLTableElement} table - The comparison table.
+ * @property {HTMLTemplateElement} columnTemplate - The template of a product column header.
+ * @property {HTMLElement} error - The error message.
+ *
+ * @extends {Component<ProductComparisonRefs>}
+ */
+class ProductComparisonComponent extends Component {
+  requiredRefs = ['table', 'columnTemplate', 'error'];
+
+  /**
+   * The products that were already fetched, by URL
+   * @type {Map<string, Promise<ComparedProduct>>}
+   */
+  #cache = new Map();
+
+  /** @type {AbortController | null} */
+  #activeRender = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.compareUpdate, this.#render);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.compareUpdate, this.#render);
+    this.#activeRender?.abort();
+  }
+
+  /**
+   * Removes a product from the comparison.
+   * @param {Event} event - The click event.
+   */
+  removeProduct(event) {
+    if (!(event.target instanceof Element)) return;
+
+    const productId = event.target.closest('th')?.dataset.productId;
+    if (productId) ProductCompare.removeProduct(productId, this.id);
+  }
+
+  #render = async () => {
+    const { table, error } = this.refs;
+    const products = ProductCompare.getProducts();
+
+    this.#activeRender?.abort();
+    const abortController = new AbortController();
+    this.#activeRender = abortController;
+
+    this.toggleAttribute('data-empty', products.length === 0);
+    error.hidden = true;
+
+    if (products.length === 0) {
+      table.replaceChildren();
+      return;
+    }
+
+    /** @type {ComparedProduct[]} */
+    let comparedProducts;
+
+    try {
+      comparedProducts = await Promise.all(products.map((product) => this.#fetchProduct(product.url)));
+    } catch (fetchError) {
+      if (abortController.signal.aborted) return;
+
+      console.error('Failed to load the products to compare:', fetchError);
+      error.hidden = false;
+      return;
+    }
+
+    if (abortController.signal.aborted) return;
+
+    this.#renderTable(comparedProducts);
+  };
+
+  /**
+   * @param {string} url - The URL of the product.
+   * @returns {Promise<ComparedProduct>} The product.
+   */
+  #fetchProduct(url) {
+    let product = this.#cache.get(url);
+
+    if (!product) {
+      const productUrl = new URL(url, location.origin);
+      productUrl.searchParams.set('view', 'compare');
+
+      product = fetch(productUrl).then((response) => {
+        if (!response.ok) throw new Error(`Server returned ${response.status}`);
+        return response.json();
+      });
+
+      // Failed requests are retried on the next render
+      product.catch(() => this.#cache.delete(url));
+      this.#cache.set(url, product);
+    }
+
+    return product;
+  }
+
+  /**
+   * @param {ComparedProduct[]} products - The products to compare.
+   */
+  #renderTable(products) {
+    const { table, columnTemplate } = this.refs;
+    const { moneyFormat, currency = '', priceLabel = '', skuLabel = '', inventoryLabel = '' } = this.dataset;
+
+    const headerRow = document.createElement('tr');
+    headerRow.append(document.createElement('td'));
+
+    for (const product of products) {
+      const fragment = /** @type {DocumentFragment} */ (columnTemplate.content.cloneNode(true));
+      const column = /** @type {HTMLElement} */ (fragment.firstElementChild);
+
+      column.dataset.productId = product.id.toString();
+      renderProductLink(column, { ...product, image: product.image ?? undefined });
+      headerRow.append(column);
+    }
+
+    const optionNames = [...new Set(products.flatMap(({ options }) => options.map(({ name }) => name)))];
+
+    /** @type {[string, string[]][]} */
+    const rows = [
+      [priceLabel, products.map(({ price }) => formatMoney(price, moneyFormat || '{{amount}}', currency))],
+      ...optionNames.map(
+        /** @returns {[string, string[]]} */
+        (name) => [
+          name,
+          products.map(({ options }) => options.find((option) => option.name === name)?.values.join(', ') ?? ''),
+        ]
+      ),
+      [skuLabel, products.map(({ sku }) => sku ?? '')],
+      [inventoryLabel, products.map(({ inventory }) => inventory)],
+      ...(products[0]?.metafields ?? []).map(
+        /** @returns {[string, string[]]} */
+        ({ name }, index) => [name, products.map(({ metafields }) => metafields[index]?.value ?? '')]
+      ),
+    ];
+
+    const body = document.createElement('tbody');
+
+    for (const [label, values] of rows) {
+      // Skip the rows that don't apply to any of the products, e.g. metafields that aren't set
+      if (values.every((value) => !value)) continue;
+
+      const row = document.createElement('tr');
+      row.classList.add('product-comparison__row');
+      row.toggleAttribute('data-differs', new Set(values).size > 1);
+
+      const header = document.createElement('th');
+      header.scope = 'row';
+      header.textContent = label;
+      row.append(header);
+
+      for (const value of values) {
+        const cell = document.createElement('td');
+        cell.textContent = value || '–';
+        row.append(cell);
+      }
+
+      body.append(row);
+    }
+
+    const head = document.createElement('thead');
+    head.append(headerRow);
+
+    table.replaceChildren(head, body);
+  }
+}
+
+/**
+ * Fills in the links, image and title of a product in an element cloned from a template.
+ * @param {HTMLElement} element - The element.
+ * @param {Pick<CompareProduct, 'title' | 'url' | 'image'>} product - The product.
+ */
+function renderProductLink(element, product) {
+  for (const link of element.querySelectorAll('a')) {
+    link.href = product.url;
+  }
+
+  const image = element.querySelector('img');
+  if (image) {
+    if (product.image) {
+      image.src = product.image;
+      image.alt = product.title;
+    } else {
+      image.remove();
+    }
+  }
+
+  const title = element.querySelector('[data-product-title]');
+  if (title) title.textContent = product.title;
+}
+
+if (!customElements.get('compare-checkbox-component')) {
+  customElements.define('compare-checkbox-component', CompareCheckboxComponent);
+}
+
+if (!customElements.get('compare-tray-component')) {
+  customElements.define('compare-tray-component', CompareTrayComponent);
+}
+
+if (!customElements.get('product-comparison-component')) {
+  customElements.define('product-comparison-component', ProductComparisonComponent);
+}
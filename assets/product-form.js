@@ -1,7 +1,9 @@
 import { Component } from '@theme/component';
-import { fetchConfig, preloadImage, onAnimationEnd, yieldToMainThread } from '@theme/utilities';
-import { ThemeEvents, CartAddEvent, CartErrorEvent, CartUpdateEvent, VariantUpdateEvent } from '@theme/events';
+import { preloadImage, onAnimationEnd, yieldToMainThread } from '@theme/utilities';
+import { ThemeEvents, CartAddEvent, CartErrorEvent, VariantUpdateEvent } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
+import { cartStore } from '@theme/cart-store';
+import { CartMutationQueuedError } from '@theme/cart-mutation-queue';
 import { morph } from '@theme/morph';
 
 // Error message display duration - gives users time to read the message
@@ -169,7 +171,7 @@ if (!customElements.get('add-to-cart-component')) {
 /**
  * A custom element that manages a product form.
  *
- * @typedef {{items: Array<{quantity: number, variant_id: number}>}} Cart
+ * @typedef {import('./cart-store').Cart} Cart
  *
  * @typedef {object} ProductFormRefs
  * @property {HTMLInputElement} variantId - The form input for submitting the variant ID.
@@ -185,6 +187,8 @@ if (!customElements.get('add-to-cart-component')) {
  * @property {HTMLElement | undefined} quantitySelectorWrapper - The quantity selector wrapper element.
  * @property {HTMLElement | undefined} quantityLabel - The quantity label element.
  * @property {HTMLElement | undefined} pricePerItem - The price per item component.
+ * @property {HTMLInputElement | undefined} preorderProperty - The line property that marks the item as a pre-order.
+ * @property {HTMLElement | undefined} preorderNote - The expected ship date of a pre-order.
  *
  * @extends Component<ProductFormRefs>
  */
@@ -195,6 +199,9 @@ class ProductFormComponent extends Component {
   /** @type {number | undefined} */
   #timeout;
 
+  /** @type {(() => void) | undefined} */
+  #unsubscribeFromCart;
+
   connectedCallback() {
     super.connectedCallback();
 
@@ -203,14 +210,15 @@ class ProductFormComponent extends Component {
     target?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, { signal });
     target?.addEventListener(ThemeEvents.variantSelected, this.#onVariantSelected, { signal });
 
-    // Listen for cart updates to sync data-cart-quantity
-    document.addEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate, { signal });
+    // Keep data-cart-quantity in sync with the shared cart
+    this.#unsubscribeFromCart = cartStore.subscribe((cart) => this.#updateCartQuantityFromData(cart));
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
 
     this.#abortController.abort();
+    this.#unsubscribeFromCart?.();
   }
 
   /**
@@ -222,8 +230,7 @@ class ProductFormComponent extends Component {
     const variantIdInput = /** @type {HTMLInputElement | null} */ (this.querySelector('input[name="id"]'));
     if (!variantIdInput?.value || !cart?.items) return 0;
 
-    const cartItem = cart.items.find((item) => item.variant_id.toString() === variantIdInput.value.toString());
-    const cartQty = cartItem ? cartItem.quantity : 0;
+    const cartQty = cartStore.getVariantQuantity(variantIdInput.value, cart);
 
     // Use public API to update quantity selector
     const quantitySelector = /** @type {any | undefined} */ (this.querySelector('quantity-selector-component'));
@@ -238,7 +245,7 @@ class ProductFormComponent extends Component {
   }
 
   /**
-   * Fetches cart and updates quantity selector for current variant
+   * Reads the cart from the cart store and updates quantity selector for current variant
    * @returns {Promise<number>} The cart quantity for the current variant
    */
   async #fetchAndUpdateCartQuantity() {
@@ -246,8 +253,7 @@ class ProductFormComponent extends Component {
     if (!variantIdInput?.value) return 0;
 
     try {
-      const response = await fetch('/cart.js');
-      const cart = await response.json();
+      const cart = await cartStore.get();
 
       return this.#updateCartQuantityFromData(cart);
     } catch (error) {
@@ -256,22 +262,6 @@ class ProductFormComponent extends Component {
     }
   }
 
-  /**
-   * Updates data-cart-quantity when cart is updated from elsewhere
-   * @param {CartUpdateEvent|CartAddEvent} event
-   */
-  #onCartUpdate = async (event) => {
-    // Skip if this event came from this component
-    if (event.detail?.sourceId === this.id || event.detail?.data?.source === 'product-form-component') return;
-
-    const cart = /** @type {Cart} */ (event.detail?.resource);
-    if (cart?.items) {
-      this.#updateCartQuantityFromData(cart);
-    } else {
-      await this.#fetchAndUpdateCartQuantity();
-    }
-  };
-
   /**
    * Handles the submit event for the product form.
    *
@@ -311,26 +301,7 @@ class ProductFormComponent extends Component {
 
         const errorTemplate = this.dataset.quantityErrorMax || '';
         const errorMessage = errorTemplate.replace('{{ maximum }}', validation.maxQuantity?.toString() || '');
-        if (addToCartTextError) {
-          addToCartTextError.classList.remove('hidden');
-
-          const textNode = addToCartTextError.childNodes[2];
-          if (textNode) {
-            textNode.textContent = errorMessage;
-          } else {
-            const newTextNode = document.createTextNode(errorMessage);
-            addToCartTextError.appendChild(newTextNode);
-          }
-
-          this.#setLiveRegionText(errorMessage);
-
-          if (this.#timeout) clearTimeout(this.#timeout);
-          this.#timeout = setTimeout(() => {
-            if (!addToCartTextError) return;
-            addToCartTextError.classList.add('hidden');
-            this.#clearLiveRegionText();
-          }, ERROR_MESSAGE_DISPLAY_DURATION);
-        }
+        this.#showErrorMessage(errorMessage);
 
         setTimeout(() => {
           // Re-enable ALL add-to-cart buttons
@@ -354,44 +325,16 @@ class ProductFormComponent extends Component {
       formData.append('sections', cartItemComponentsSectionIds.join(','));
     });
 
-    const fetchCfg = fetchConfig('javascript', { body: formData });
-
-    fetch(Theme.routes.cart_add_url, {
-      ...fetchCfg,
-      headers: {
-        ...fetchCfg.headers,
-        Accept: 'text/html',
-      },
-    })
-      .then((response) => response.json())
-      .then(async (response) => {
+    cartStore
+      .add(formData, { headers: { Accept: 'text/html' } })
+      .then((response) => {
         if (response.status) {
           this.dispatchEvent(
             new CartErrorEvent(form.getAttribute('id') || '', response.message, response.description, response.errors)
           );
 
           if (!addToCartTextError) return;
-          addToCartTextError.classList.remove('hidden');
-
-          // Reuse the text node if the user is spam-clicking
-          const textNode = addToCartTextError.childNodes[2];
-          if (textNode) {
-            textNode.textContent = response.message;
-          } else {
-            const newTextNode = document.createTextNode(response.message);
-            addToCartTextError.appendChild(newTextNode);
-          }
-
-          // Create or get existing error live region for screen readers
-          this.#setLiveRegionText(response.message);
-
-          this.#timeout = setTimeout(() => {
-            if (!addToCartTextError) return;
-            addToCartTextError.classList.add('hidden');
-
-            // Clear the announcement
-            this.#clearLiveRegionText();
-          }, ERROR_MESSAGE_DISPLAY_DURATION);
+          this.#showErrorMessage(response.message);
 
           // When we add more than the maximum amount of items to the cart, we need to dispatch a cart update event
           // because our back-end still adds the max allowed amount to the cart.
@@ -429,11 +372,9 @@ class ProductFormComponent extends Component {
             }, SUCCESS_MESSAGE_DISPLAY_DURATION);
           }
 
-          // Fetch the updated cart to get the actual total quantity for this variant
-          await this.#fetchAndUpdateCartQuantity();
-
+          // The cart store has already refreshed the cart, which updated the quantity for this variant
           this.dispatchEvent(
-            new CartAddEvent({}, id.toString(), {
+            new CartAddEvent(cartStore.cart ?? {}, id.toString(), {
               source: 'product-form-component',
               itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
               productId: this.dataset.productId,
@@ -443,6 +384,12 @@ class ProductFormComponent extends Component {
         }
       })
       .catch((error) => {
+        if (error instanceof CartMutationQueuedError) {
+          // The item will be added once the connection is back, the cart store dispatches the add event then
+          this.#showErrorMessage(Theme.translations.cart_mutation_queued);
+          return;
+        }
+
         console.error(error);
       })
       .finally(() => {
@@ -450,6 +397,37 @@ class ProductFormComponent extends Component {
       });
   }
 
+  /**
+   * Shows a message in the add to cart error element and announces it to screen readers
+   * @param {string} message - The message to show
+   */
+  #showErrorMessage(message) {
+    const { addToCartTextError } = this.refs;
+    if (!addToCartTextError) return;
+
+    addToCartTextError.classList.remove('hidden');
+
+    // Reuse the text node if the user is spam-clicking
+    const textNode = addToCartTextError.childNodes[2];
+    if (textNode) {
+      textNode.textContent = message;
+    } else {
+      const newTextNode = document.createTextNode(message);
+      addToCartTextError.appendChild(newTextNode);
+    }
+
+    // Create or get existing error live region for screen readers
+    this.#setLiveRegionText(message);
+
+    if (this.#timeout) clearTimeout(this.#timeout);
+    this.#timeout = setTimeout(() => {
+      addToCartTextError.classList.add('hidden');
+
+      // Clear the announcement
+      this.#clearLiveRegionText();
+    }, ERROR_MESSAGE_DISPLAY_DURATION);
+  }
+
   /**
    * Updates the quantity label with the current cart quantity
    * @param {number} cartQty - The quantity in cart
@@ -510,6 +488,13 @@ class ProductFormComponent extends Component {
 
     // Update the variant ID
     variantId.value = event.detail.resource?.id ?? '';
+
+    // The new variant may be sold as a pre-order or not
+    const { preorderProperty, preorderNote } = this.refs;
+    const newPreorderProperty = event.detail.data.html.querySelector('product-form-component [ref="preorderProperty"]');
+    const newPreorderNote = event.detail.data.html.querySelector('product-form-component [ref="preorderNote"]');
+    if (preorderProperty && newPreorderProperty) morph(preorderProperty, newPreorderProperty);
+    if (preorderNote && newPreorderNote) morph(preorderNote, newPreorderNote);
     const { addToCartButtonContainer: currentAddToCartButtonContainer, acceleratedCheckoutButtonContainer } = this.refs;
     const currentAddToCartButton = currentAddToCartButtonContainer?.refs.addToCartButton;
 
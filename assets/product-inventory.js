@@ -1,18 +1,60 @@
 import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
 import { morph } from '@theme/morph';
 import { Component } from '@theme/component';
+import { cartStore } from '@theme/cart-store';
 
+// How often the shipping cutoff countdown is refreshed, it shows minutes
+const COUNTDOWN_INTERVAL = 60 * 1000;
+
+/**
+ * @typedef {'in_stock' | 'low' | 'out_of_stock'} InventoryStatus
+ */
+
+/**
+ * A custom element that shows the stock of the selected variant.
+ * The quantity already in the cart is taken out of the stock, and when the shipping cutoff is enabled it tells
+ * whether the order ships today, with a countdown to the cutoff.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} icon - The status icon.
+ * @property {HTMLElement} text - The status text.
+ * @property {HTMLElement} [countdown] - The time left before the shipping cutoff.
+ *
+ * @extends {Component<Refs>}
+ */
 class ProductInventory extends Component {
+  requiredRefs = ['icon', 'text'];
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribeFromCart;
+
+  /** @type {number | undefined} */
+  #countdownInterval;
+
   connectedCallback() {
     super.connectedCallback();
     const closestSection = this.closest('.shopify-section, dialog');
     closestSection?.addEventListener(ThemeEvents.variantUpdate, this.updateInventory);
+
+    // The product form keeps the cart in the store up to date, the stock follows it
+    this.#unsubscribeFromCart = cartStore.select(
+      (cart) => cartStore.getVariantQuantity(this.dataset.variantId ?? '', cart),
+      () => this.#render()
+    );
+
+    if (this.dataset.cutoffHour) {
+      this.#countdownInterval = setInterval(() => this.#render(), COUNTDOWN_INTERVAL);
+    }
+
+    this.#render();
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
     const closestSection = this.closest('.shopify-section, dialog');
     closestSection?.removeEventListener(ThemeEvents.variantUpdate, this.updateInventory);
+    this.#unsubscribeFromCart?.();
+    clearInterval(this.#countdownInterval);
   }
 
   /**
@@ -30,8 +72,114 @@ class ProductInventory extends Component {
 
     if (!newInventory) return;
 
-    morph(this, newInventory, { childrenOnly: true });
+    morph(this, newInventory);
+    this.#render();
   };
+
+  /**
+   * @returns {InventoryStatus} The status of the selected variant, without the units in the cart
+   */
+  #getStatus() {
+    const { variantId, inventoryManaged, inventoryPolicy } = this.dataset;
+
+    if (!variantId) return 'out_of_stock';
+    if (inventoryManaged !== 'true') return 'in_stock';
+
+    const quantity = this.#getAvailableQuantity();
+
+    if (quantity > 0) return quantity <= Number(this.dataset.threshold) ? 'low' : 'in_stock';
+
+    return inventoryPolicy === 'continue' ? 'in_stock' : 'out_of_stock';
+  }
+
+  /**
+   * @returns {number} The units of the selected variant that can still be added to the cart
+   */
+  #getAvailableQuantity() {
+    const inventoryQuantity = Number(this.dataset.inventoryQuantity) || 0;
+
+    // Until the cart is loaded, the quantity it had when the page was rendered is used
+    const cartQuantity = cartStore.cart
+      ? cartStore.getVariantQuantity(this.dataset.variantId ?? '')
+      : Number(this.dataset.cartQuantity) || 0;
+
+    return inventoryQuantity - cartQuantity;
+  }
+
+  /**
+   * Shows the stock of the selected variant and the time left to ship it today
+   */
+  #render() {
+    const { icon, text, countdown } = this.refs;
+    const status = this.#getStatus();
+    const millisecondsToCutoff = status === 'out_of_stock' ? null : this.#getMillisecondsToCutoff();
+
+    icon.classList.remove(
+      'product-inventory__icon-in_stock',
+      'product-inventory__icon-low',
+      'product-inventory__icon-out_of_stock'
+    );
+    icon.classList.add(`product-inventory__icon-${status}`);
+
+    if (status === 'low') {
+      const quantity = this.#getAvailableQuantity();
+      const countText = quantity === 1 ? text.dataset.lowStockCountOneText : text.dataset.lowStockCountOtherText;
+
+      text.textContent =
+        this.dataset.showQuantity === 'true'
+          ? (countText ?? '').replace('{{ count }}', quantity.toString())
+          : (text.dataset.lowStockText ?? '');
+    } else if (status === 'in_stock') {
+      text.textContent = (millisecondsToCutoff ? text.dataset.shipsTodayText : text.dataset.inStockText) ?? '';
+    } else {
+      text.textContent = text.dataset.outOfStockText ?? '';
+    }
+
+    if (!countdown) return;
+
+    countdown.hidden = !millisecondsToCutoff;
+    if (millisecondsToCutoff) countdown.textContent = this.#formatCountdown(millisecondsToCutoff);
+  }
+
+  /**
+   * The cutoff is in the time zone of the store, so the time of the store is used instead of the local one.
+   * @returns {number | null} The time left before today's shipping cutoff, or null if orders don't ship today
+   */
+  #getMillisecondsToCutoff() {
+    const { cutoffHour, timezoneOffset, shipOnWeekends } = this.dataset;
+    if (!cutoffHour) return null;
+
+    // The offset looks like `+0200` or `-0530`
+    const [, sign = '+', hours = '0', minutes = '0'] = timezoneOffset?.match(/([+-])(\d{2})(\d{2})/) ?? [];
+    const offset = (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes)) * 60 * 1000;
+
+    // Shifting the time by the offset makes the UTC getters return the time of the store
+    const storeTime = new Date(Date.now() + offset);
+    const day = storeTime.getUTCDay();
+
+    if (shipOnWeekends !== 'true' && (day === 0 || day === 6)) return null;
+
+    const cutoff = new Date(storeTime);
+    cutoff.setUTCHours(Number(cutoffHour), 0, 0, 0);
+
+    const millisecondsToCutoff = cutoff.getTime() - storeTime.getTime();
+
+    return millisecondsToCutoff > 0 ? millisecondsToCutoff : null;
+  }
+
+  /**
+   * @param {number} milliseconds - The time left before the cutoff
+   * @returns {string} The countdown text
+   */
+  #formatCountdown(milliseconds) {
+    const { countdown } = this.refs;
+    const totalMinutes = Math.ceil(milliseconds / (60 * 1000));
+    const time = (countdown?.dataset.timeText ?? '')
+      .replace('{{ hours }}', Math.floor(totalMinutes / 60).toString())
+      .replace('{{ minutes }}', (totalMinutes % 60).toString());
+
+    return (countdown?.dataset.countdownText ?? '').replace('{{ time }}', time);
+  }
 }
 
 if (!customElements.get('product-inventory')) {
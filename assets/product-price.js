@@ -1,18 +1,27 @@
-import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { SellingPlanUpdateEvent, ThemeEvents, VariantUpdateEvent } from '@theme/events';
 import { Component } from '@theme/component';
+import { formatMoney } from '@theme/money-formatting';
 /**
  * A custom element that displays a product price.
  * This component listens for variant update events and updates the price display accordingly.
  * It handles price updates from two different sources:
  * 1. Variant picker (in quick add modal or product page)
  * 2. Swatches variant picker (in product cards)
+ * It also shows the price of the selling plan picked in the selling plan picker.
  */
 class ProductPrice extends Component {
+  /**
+   * The price rendered for a one-time purchase, kept while the price of a selling plan is shown
+   * @type {Element | null}
+   */
+  #oneTimePrice = null;
+
   connectedCallback() {
     super.connectedCallback();
     const closestSection = this.closest('.shopify-section, dialog');
     if (!closestSection) return;
     closestSection.addEventListener(ThemeEvents.variantUpdate, this.updatePrice);
+    closestSection.addEventListener(ThemeEvents.sellingPlanUpdate, this.updateSellingPlanPrice);
   }
 
   disconnectedCallback() {
@@ -20,6 +29,7 @@ class ProductPrice extends Component {
     const closestSection = this.closest('.shopify-section, dialog');
     if (!closestSection) return;
     closestSection.removeEventListener(ThemeEvents.variantUpdate, this.updatePrice);
+    closestSection.removeEventListener(ThemeEvents.sellingPlanUpdate, this.updateSellingPlanPrice);
   }
 
   /**
@@ -42,6 +52,10 @@ class ProductPrice extends Component {
     const currentPrice = this.querySelector('[ref="priceContainer"]');
     if (newPrice && currentPrice) currentPrice.replaceWith(newPrice);
 
+    // The selling plan picker shows the plan price of the new variant once it's updated
+    this.#oneTimePrice = null;
+    this.querySelector('.selling-plan-note')?.remove();
+
     // Update volume pricing note
     const currentNote = this.querySelector('.volume-pricing-note');
     const newNote = newProductPrice.querySelector('.volume-pricing-note');
@@ -54,6 +68,105 @@ class ProductPrice extends Component {
       currentNote.replaceWith(newNote);
     }
   };
+
+  /**
+   * Shows the price of the selected selling plan, or the one-time purchase price again.
+   * @param {SellingPlanUpdateEvent} event - The selling plan update event.
+   */
+  updateSellingPlanPrice = (event) => {
+    if (event.detail.data.productId !== this.dataset.productId) return;
+
+    const currentPrice = this.querySelector('[ref="priceContainer"]');
+    if (!currentPrice) return;
+
+    this.querySelector('.selling-plan-note')?.remove();
+
+    const allocation = event.detail.resource;
+
+    if (!allocation) {
+      if (this.#oneTimePrice) currentPrice.replaceWith(this.#oneTimePrice);
+      this.#oneTimePrice = null;
+      return;
+    }
+
+    if (!this.#oneTimePrice) this.#oneTimePrice = currentPrice;
+
+    const { price, compare_at_price: compareAtPrice, per_delivery_price: perDeliveryPrice } = allocation;
+    const onSale = compareAtPrice > price;
+
+    const planPrice = document.createElement('div');
+    planPrice.setAttribute('ref', 'priceContainer');
+
+    const salePrice = this.#createPrice('price', price, onSale ? Theme.translations.price_sale : '');
+    const regularPrice = onSale
+      ? this.#createPrice('compare-at-price', compareAtPrice, Theme.translations.price_regular)
+      : null;
+
+    if (this.dataset.showSalePriceFirst === 'true') {
+      planPrice.append(...[salePrice, regularPrice].filter((element) => element !== null));
+    } else {
+      planPrice.append(...[regularPrice, salePrice].filter((element) => element !== null));
+    }
+
+    currentPrice.replaceWith(planPrice);
+
+    // Prepaid plans charge several deliveries at once, so the price of a delivery is shown too
+    const noteParts = [];
+
+    if (perDeliveryPrice !== price) {
+      noteParts.push(
+        Theme.translations.selling_plan_per_delivery.replace('{{ price }}', this.#formatMoney(perDeliveryPrice))
+      );
+    }
+
+    if (onSale && price > 0) {
+      const savings = Math.round(((compareAtPrice - price) * perDeliveryPrice) / price);
+      noteParts.push(Theme.translations.selling_plan_savings.replace('{{ amount }}', this.#formatMoney(savings)));
+    }
+
+    if (noteParts.length) {
+      const note = document.createElement('span');
+      note.className = 'selling-plan-note';
+      note.textContent = noteParts.join(' · ');
+      planPrice.insertAdjacentElement('afterend', note);
+    }
+  };
+
+  /**
+   * @param {string} className - The class of the price element.
+   * @param {number} amount - The price, in minor units.
+   * @param {string} label - The label read by screen readers before the price.
+   * @returns {HTMLElement} The price element.
+   */
+  #createPrice(className, amount, label) {
+    const price = document.createElement('span');
+    price.className = className;
+    price.textContent = this.#formatMoney(amount);
+
+    if (!label) return price;
+
+    const group = document.createElement('span');
+    const hiddenLabel = document.createElement('span');
+
+    group.setAttribute('role', 'group');
+    hiddenLabel.className = 'visually-hidden';
+    hiddenLabel.textContent = `${label}\u00a0`;
+    group.append(hiddenLabel, price);
+
+    return group;
+  }
+
+  /**
+   * @param {number} amount - The amount, in minor units.
+   * @returns {string} The formatted amount.
+   */
+  #formatMoney(amount) {
+    return formatMoney(
+      amount,
+      this.dataset.moneyFormat || '{{amount}}',
+      this.dataset.currency || Shopify.currency.active
+    );
+  }
 }
 
 if (!customElements.get('product-price')) {
@@ -1,7 +1,61 @@
 import { Component } from '@theme/component';
-import { CartAddEvent, QuantitySelectorUpdateEvent, ThemeEvents } from '@theme/events';
-import { debounce, fetchConfig, resetShimmer } from '@theme/utilities';
+import { CartAddEvent, CartLinesRemoveEvent, QuantitySelectorUpdateEvent, ThemeEvents } from '@theme/events';
+import { debounce, resetShimmer } from '@theme/utilities';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
+import { cartStore } from '@theme/cart-store';
+import { CartMutationQueuedError } from '@theme/cart-mutation-queue';
+import { formatMoney } from '@theme/money-formatting';
+
+/**
+ * @typedef {object} BulkVariant
+ * @property {number} id - The variant ID
+ * @property {string | null} sku - The variant SKU
+ * @property {string} title - The variant title, or the product title when it has a single variant
+ * @property {string[]} options - The variant option values
+ * @property {number} price - The variant price in minor units
+ * @property {boolean} available - Whether the variant is available
+ * @property {number} cart_quantity - The quantity in the cart when the section was rendered
+ * @property {number} line_price - The price of the variant's cart lines in minor units when the section was rendered
+ * @property {number} min - The minimum quantity
+ * @property {number | null} max - The maximum quantity, if any
+ * @property {number} increment - The quantity increment
+ */
+
+/**
+ * @typedef {object} SkuLine
+ * @property {number} line - The line number, starting at 1
+ * @property {string} sku - The SKU
+ * @property {number} quantity - The quantity to add
+ */
+
+/**
+ * @typedef {object} ImportLine
+ * @property {string} variantId - The variant ID, empty when the file only has a SKU
+ * @property {string} sku - The SKU
+ * @property {number} quantity - The imported quantity
+ */
+
+/**
+ * @typedef {object} ImportChange
+ * @property {BulkVariant | undefined} variant - The resolved variant
+ * @property {string} label - The variant title, or the ID or SKU from the file when it couldn't be resolved
+ * @property {number} currentQuantity - The quantity in the cart
+ * @property {number} quantity - The imported quantity
+ * @property {string} issue - Why the quantity can't be applied, empty when it's valid
+ */
+
+// The columns of exported orders, imported files are read by column name
+const EXPORT_COLUMNS = /** @type {const} */ (['variant_id', 'sku', 'title', 'quantity', 'line_price']);
+
+// The URL parameters that filter or sort the variants, option filters are named `option1` to `option3`
+const FILTER_PARAMS = ['q', 'option1', 'option2', 'option3', 'sort'];
+
+// Liquid loops over 250 variants at most, the variants after those are listed a page at a time by this section
+const VARIANT_DATA_SECTION_ID = 'section-rendering-quick-order-variants';
+const VARIANT_DATA_PAGE_SIZE = 250;
+
+// The most section pages requested at once for the rows of the filtered variants
+const MAX_CONCURRENT_PAGE_REQUESTS = 3;
 
 /**
  * A custom element that manages the quick order list section.
@@ -15,6 +69,21 @@ import { morphSection, sectionRenderer } from '@theme/section-renderer';
  * @property {HTMLElement} successContainer - The success message container
  * @property {HTMLElement} successText - The success message text element
  * @property {HTMLElement} [paginationNav] - The pagination navigation element
+ * @property {HTMLScriptElement} [variantData] - The JSON list of the first 250 variants, used to resolve SKUs
+ * @property {HTMLElement} [bulkPanel] - The add by SKU panel
+ * @property {HTMLTextAreaElement} [bulkInput] - The SKU and quantity lines input
+ * @property {HTMLUListElement} [bulkIssues] - The list of lines that couldn't be added
+ * @property {HTMLButtonElement} [bulkSubmit] - The add by SKU submit button
+ * @property {HTMLElement} [importPreview] - The preview of an imported order
+ * @property {HTMLTableSectionElement} [importRows] - The rows of the imported order preview
+ * @property {HTMLButtonElement} [importApply] - The button that applies an imported order
+ * @property {HTMLElement} [filters] - The search, option filter and sort controls
+ * @property {HTMLElement} [gridBody] - The container of the variant rows
+ * @property {HTMLElement} [filterEmpty] - The message shown when no variants match the filters
+ * @property {HTMLElement} [filterPagination] - The pagination of the filtered variants
+ * @property {HTMLElement} [filterPageStatus] - The current page of the filtered variants
+ * @property {HTMLButtonElement} [filterPrevious] - The previous page button of the filtered variants
+ * @property {HTMLButtonElement} [filterNext] - The next page button of the filtered variants
  *
  * @extends Component<QuickOrderListComponentRefs>
  */
@@ -38,6 +107,24 @@ class QuickOrderListComponent extends Component {
   /** @type {(event: Event) => void} */
   #boundHandleCartUpdate;
 
+  /** @type {() => void} */
+  #debouncedApplyFilters;
+
+  /** @type {AbortController|null} */
+  #filterAbortController = null;
+
+  /**
+   * The valid changes of the imported order that's being previewed
+   * @type {ImportChange[]}
+   */
+  #importChanges = [];
+
+  /**
+   * The variants after the ones listed in the section, fetched once
+   * @type {Promise<BulkVariant[]> | null}
+   */
+  #remainingVariants = null;
+
   /**
    * Gets the current page number from pagination controls
    * @returns {number}
@@ -53,10 +140,17 @@ class QuickOrderListComponent extends Component {
   }
 
   /**
-   * Gets all cart variant IDs for the product from the data attribute
+   * Gets all cart variant IDs for the product, from the cart store once it's loaded or the data attribute otherwise
    * @returns {number[]}
    */
   get cartVariantIds() {
+    const { cart } = cartStore;
+    if (cart) {
+      return cart.items
+        .filter((item) => String(item.product_id) === this.dataset.productId)
+        .map((item) => item.variant_id);
+    }
+
     const data = this.dataset.cartVariantIds;
     if (!data) return [];
 
@@ -68,11 +162,14 @@ class QuickOrderListComponent extends Component {
 
     this.#debouncedHandleQuantityUpdate = debounce(this.#handleQuantityUpdate.bind(this), 300);
     this.#boundHandleCartUpdate = this.#handleCartUpdate.bind(this);
+    this.#debouncedApplyFilters = debounce(() => this.#applyFilters(), 300);
 
     this.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedHandleQuantityUpdate);
     document.addEventListener(ThemeEvents.cartUpdate, this.#boundHandleCartUpdate);
     this.addEventListener('keydown', this.#handleKeyDown, true);
     this.addEventListener('keyup', this.#handleKeyup, true);
+
+    this.#restoreFilters();
   }
 
   disconnectedCallback() {
@@ -84,6 +181,7 @@ class QuickOrderListComponent extends Component {
     this.removeEventListener('keyup', this.#handleKeyup, true);
 
     this.#abortController?.abort();
+    this.#filterAbortController?.abort();
   }
 
   /**
@@ -176,6 +274,167 @@ class QuickOrderListComponent extends Component {
     this.#scrollToTopOfSection();
   }
 
+  /**
+   * Filters the variants as the search terms are typed
+   */
+  onFilterInput() {
+    this.#debouncedApplyFilters();
+  }
+
+  /**
+   * Filters or sorts the variants when an option filter or the sort order changes
+   */
+  onFilterChange() {
+    this.#applyFilters();
+  }
+
+  /**
+   * Moves through the pages of the filtered variants
+   * @param {number} offset - The number of pages to move by
+   */
+  onFilterPageChange(offset) {
+    const params = new URLSearchParams(window.location.search);
+    const page = parseInt(params.get('page') || '1', 10) || 1;
+
+    this.#applyFilters(page + offset);
+    this.#scrollToTopOfSection();
+  }
+
+  /**
+   * Stores the filters in the URL, so the filtered view can be bookmarked, and renders the matching variants
+   * @param {number} [page] - The page of filtered variants to show
+   */
+  async #applyFilters(page = 1) {
+    const { filters } = this.refs;
+    if (!filters) return;
+
+    const url = new URL(window.location.href);
+    for (const name of [...FILTER_PARAMS, 'page']) {
+      url.searchParams.delete(name);
+    }
+
+    for (const control of filters.querySelectorAll('input[name], select[name]')) {
+      if (!(control instanceof HTMLInputElement || control instanceof HTMLSelectElement)) continue;
+
+      const value = control.value.trim();
+      if (value) url.searchParams.set(control.name, value);
+    }
+
+    const isFiltered = FILTER_PARAMS.some((name) => url.searchParams.has(name));
+    if (isFiltered && page > 1) url.searchParams.set('page', page.toString());
+
+    history.replaceState(history.state, '', url);
+
+    if (isFiltered) {
+      await this.#renderFilteredVariants();
+    } else {
+      await this.#clearFilteredVariants();
+    }
+  }
+
+  /**
+   * Fills in the filter controls from the URL and renders the matching variants
+   */
+  #restoreFilters() {
+    const { filters } = this.refs;
+    if (!filters) return;
+
+    const params = new URLSearchParams(window.location.search);
+    if (!FILTER_PARAMS.some((name) => params.has(name))) return;
+
+    for (const control of filters.querySelectorAll('input[name], select[name]')) {
+      if (!(control instanceof HTMLInputElement || control instanceof HTMLSelectElement)) continue;
+
+      control.value = params.get(control.name) ?? '';
+    }
+
+    this.#renderFilteredVariants();
+  }
+
+  /**
+   * Renders the current page of the variants that match the filters in the URL.
+   * The rows are taken from the section pages they're listed on, so filters and sorting apply to every variant.
+   */
+  async #renderFilteredVariants() {
+    const { gridBody, filterEmpty, filterPagination, filterPageStatus, filterPrevious, filterNext } = this.refs;
+    const { sectionId, url: productUrl } = this.dataset;
+    if (!gridBody || !sectionId || !productUrl) return;
+
+    const params = new URLSearchParams(window.location.search);
+    if (!FILTER_PARAMS.some((name) => params.has(name))) return;
+
+    const perPage = Number(this.dataset.variantsPerPage) || 50;
+    const variants = filterVariants(await this.#getVariants(), params);
+    const pageCount = Math.max(Math.ceil(variants.length / perPage), 1);
+    const page = Math.min(Math.max(parseInt(params.get('page') || '1', 10) || 1, 1), pageCount);
+    const pageVariants = variants.slice((page - 1) * perPage, page * perPage);
+
+    this.#filterAbortController?.abort();
+    const abortController = new AbortController();
+    this.#filterAbortController = abortController;
+
+    const sectionPages = [...new Set(pageVariants.map(({ index }) => Math.floor(index / perPage) + 1))];
+
+    /** @type {Map<string, Element>} */
+    const rows = new Map();
+
+    // A broad filter matches variants on many pages, they're requested a few at a time
+    const requestPages = async () => {
+      for (let sectionPage = sectionPages.shift(); sectionPage; sectionPage = sectionPages.shift()) {
+        if (abortController.signal.aborted) return;
+
+        const url = new URL(productUrl, window.location.origin);
+        url.searchParams.set('page', sectionPage.toString());
+
+        const html = await sectionRenderer.getSectionHTML(sectionId, false, url);
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+
+        for (const row of doc.querySelectorAll('[ref="variantRows[]"]')) {
+          if (row instanceof HTMLElement && row.dataset.variantId) rows.set(row.dataset.variantId, row);
+        }
+      }
+    };
+
+    await Promise.all(
+      Array.from({ length: Math.min(MAX_CONCURRENT_PAGE_REQUESTS, sectionPages.length) }, requestPages)
+    );
+
+    if (abortController.signal.aborted) return;
+
+    gridBody.replaceChildren(
+      ...pageVariants.flatMap(({ variant }) => {
+        const row = rows.get(String(variant.id));
+        return row ? [document.importNode(row, true)] : [];
+      })
+    );
+
+    if (this.refs.paginationNav) this.refs.paginationNav.hidden = true;
+    if (filterEmpty) filterEmpty.hidden = variants.length > 0;
+    if (filterPagination) filterPagination.hidden = pageCount < 2;
+    if (filterPrevious) filterPrevious.disabled = page === 1;
+    if (filterNext) filterNext.disabled = page === pageCount;
+    if (filterPageStatus) {
+      filterPageStatus.textContent = (filterPageStatus.dataset.template ?? '')
+        .replace('{{ page }}', page.toString())
+        .replace('{{ pages }}', pageCount.toString());
+    }
+  }
+
+  /**
+   * Goes back to the pages of the section once the filters are cleared
+   */
+  async #clearFilteredVariants() {
+    this.#filterAbortController?.abort();
+
+    const { sectionId, url: productUrl } = this.dataset;
+    if (!sectionId || !productUrl) return;
+
+    if (this.refs.filterEmpty) this.refs.filterEmpty.hidden = true;
+    if (this.refs.filterPagination) this.refs.filterPagination.hidden = true;
+
+    await sectionRenderer.renderSection(sectionId, { cache: false, url: new URL(productUrl, window.location.origin) });
+  }
+
   /**
    * Handles removing a single variant item (sets quantity to 0)
    * @param {string} variantId - The variant ID to remove
@@ -206,6 +465,9 @@ class QuickOrderListComponent extends Component {
     this.#clearErrorMessage();
     this.#applyShimmerEffects(idsToRemove);
 
+    // Keep the removed lines as they were, so they can be restored
+    const removedLines = await this.#getCartLines(idsToRemove);
+
     this.#abortController?.abort();
     this.#abortController = new AbortController();
 
@@ -228,19 +490,13 @@ class QuickOrderListComponent extends Component {
       const sectionsUrl = new URL(window.location.pathname, window.location.origin);
       sectionsUrl.searchParams.set('page', this.currentPage.toString());
 
-      const body = JSON.stringify({
+      const body = {
         updates: updates,
         sections: sectionIds.join(','),
         sections_url: sectionsUrl.pathname + sectionsUrl.search,
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...fetchConfig('json', { body }),
-        signal: this.#abortController.signal,
-      });
+      };
 
-      const responseText = await response.text();
-      const data = JSON.parse(responseText);
+      const data = await cartStore.update(body, { signal: this.#abortController.signal });
 
       resetShimmer(this);
 
@@ -256,15 +512,473 @@ class QuickOrderListComponent extends Component {
             sections: data.sections,
           })
         );
+
+        if (removedLines.length) {
+          document.dispatchEvent(new CartLinesRemoveEvent(removedLines, this.id));
+        }
+      }
+    } catch (error) {
+      if (error instanceof CartMutationQueuedError) {
+        resetShimmer(this);
+        this.#toggleConfirmationPanel(false);
+        this.#showErrorMessage(Theme.translations.cart_mutation_queued);
+      } else if (error.name !== 'AbortError') {
+        resetShimmer(this);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Reads an uploaded CSV file into the add by SKU input
+   * @param {Event} event - The change event
+   */
+  async onBulkFileChange(event) {
+    const input = event.target;
+    const file = input instanceof HTMLInputElement ? input.files?.[0] : null;
+    if (!file || !this.refs.bulkInput) return;
+
+    this.refs.bulkInput.value = await file.text();
+
+    // Allow uploading the same file again after editing it
+    if (input instanceof HTMLInputElement) input.value = '';
+  }
+
+  /**
+   * Adds the pasted SKU and quantity lines to the cart in a single update
+   * @param {Event} event - The click event
+   */
+  async onBulkSubmit(event) {
+    event.preventDefault();
+
+    const { bulkInput, bulkSubmit, bulkPanel } = this.refs;
+    if (!bulkInput || !bulkPanel) return;
+
+    const variants = await this.#getVariants();
+    const { skuLines, invalidLines } = parseSkuLines(bulkInput.value);
+    const {
+      unknownSkuMessage = '',
+      soldOutMessage = '',
+      invalidLineMessage = '',
+      emptyMessage = '',
+    } = bulkPanel.dataset;
+
+    /** @type {string[]} */
+    const issues = invalidLines.map((line) => formatBulkMessage(invalidLineMessage, line));
+
+    /** @type {Map<string, number>} */
+    const quantities = new Map();
+
+    // The lines that couldn't be added stay in the input so they can be fixed
+    const failedLines = new Set(invalidLines);
+
+    for (const { line, sku, quantity } of skuLines) {
+      const variant = variants.find((variant) => variant.sku?.toLowerCase() === sku.toLowerCase());
+
+      if (!variant || !variant.available) {
+        issues.push(formatBulkMessage(variant ? soldOutMessage : unknownSkuMessage, line, sku));
+        failedLines.add(line);
+        continue;
+      }
+
+      const variantId = String(variant.id);
+      quantities.set(variantId, (quantities.get(variantId) ?? 0) + quantity);
+    }
+
+    this.#showBulkIssues(quantities.size === 0 && issues.length === 0 ? [emptyMessage] : issues);
+    if (quantities.size === 0) return;
+
+    const remainingText = bulkInput.value
+      .split(/\r?\n/)
+      .filter((_, index) => failedLines.has(index + 1))
+      .join('\n');
+
+    /** @type {Record<string, number>} */
+    const updates = {};
+    let quantityAdded = 0;
+
+    for (const [variantId, quantity] of quantities) {
+      const variant = variants.find(({ id }) => String(id) === variantId);
+      const currentCartQuantity = cartStore.cart
+        ? cartStore.getVariantQuantity(variantId)
+        : (variant?.cart_quantity ?? 0);
+
+      updates[variantId] = currentCartQuantity + quantity;
+      quantityAdded += quantity;
+    }
+
+    this.#clearSuccessMessage();
+    this.#clearErrorMessage();
+    this.#applyShimmerEffects([...quantities.keys()]);
+    this.#disableQuickOrderListItems();
+    if (bulkSubmit) bulkSubmit.disabled = true;
+
+    this.#abortController?.abort();
+    this.#abortController = new AbortController();
+
+    try {
+      const sectionsUrl = new URL(window.location.pathname, window.location.origin);
+      sectionsUrl.searchParams.set('page', this.currentPage.toString());
+
+      const body = {
+        updates,
+        sections: this.#getSectionIds().join(','),
+        sections_url: sectionsUrl.pathname + sectionsUrl.search,
+      };
+
+      const data = await cartStore.update(body, { signal: this.#abortController.signal });
+
+      resetShimmer(this);
+      this.#enableQuickOrderListItems();
+
+      if (data.errors) {
+        this.#showErrorMessage(data.errors);
+        return;
       }
+
+      bulkInput.value = remainingText;
+
+      this.#updateSectionHTML(data);
+      this.#showSuccessMessage(quantityAdded);
+
+      document.dispatchEvent(
+        new CartAddEvent(data, this.id, {
+          source: 'quick-order-bulk',
+          itemCount: quantityAdded,
+          sections: data.sections,
+        })
+      );
     } catch (error) {
-      if (error.name !== 'AbortError') {
+      if (error instanceof CartMutationQueuedError) {
+        this.#enableQuickOrderListItems();
+        resetShimmer(this);
+        bulkInput.value = remainingText;
+        this.#showErrorMessage(Theme.translations.cart_mutation_queued);
+      } else if (error.name !== 'AbortError') {
+        this.#enableQuickOrderListItems();
         resetShimmer(this);
         throw error;
       }
+    } finally {
+      if (bulkSubmit) bulkSubmit.disabled = false;
     }
   }
 
+  /**
+   * Lists the lines that couldn't be added below the add by SKU input
+   * @param {string[]} issues - The messages to show
+   */
+  #showBulkIssues(issues) {
+    const { bulkIssues } = this.refs;
+    if (!bulkIssues) return;
+
+    bulkIssues.replaceChildren(
+      ...issues.map((issue) => {
+        const item = document.createElement('li');
+        item.textContent = issue;
+        return item;
+      })
+    );
+    bulkIssues.hidden = issues.length === 0;
+  }
+
+  /**
+   * Downloads the variants that are in the cart with their quantities and line prices
+   * @param {'csv' | 'json'} format - The file format
+   * @param {Event} event - The click event
+   */
+  async exportOrder(format, event) {
+    event.preventDefault();
+
+    const currency = cartStore.cart?.currency || this.dataset.currency || 'USD';
+    const rows = (await this.#getVariants())
+      .map((variant) => {
+        const variantId = String(variant.id);
+        const lineItems = cartStore.cart?.items.filter((item) => String(item.variant_id) === variantId);
+
+        return {
+          variant_id: variantId,
+          sku: variant.sku ?? '',
+          title: variant.title,
+          quantity: lineItems ? lineItems.reduce((total, item) => total + item.quantity, 0) : variant.cart_quantity,
+          line_price: lineItems
+            ? lineItems.reduce((total, item) => total + item.final_line_price, 0)
+            : variant.line_price,
+        };
+      })
+      .filter((row) => row.quantity > 0)
+      .map((row) => ({ ...row, line_price: formatMoney(row.line_price, '{{amount}}', currency) }));
+
+    const content =
+      format === 'json'
+        ? JSON.stringify(rows, null, 2)
+        : [EXPORT_COLUMNS, ...rows.map((row) => EXPORT_COLUMNS.map((column) => row[column]))]
+            .map((cells) => cells.map(formatCsvCell).join(','))
+            .join('\r\n');
+
+    const blob = new Blob([content], { type: format === 'json' ? 'application/json' : 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = `${this.dataset.productHandle || 'quick-order'}-quick-order.${format}`;
+    link.click();
+
+    // Revoking the URL right away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Reads an exported order file, pre-fills the quantity inputs and previews the changes
+   * @param {Event} event - The change event
+   */
+  async onImportFileChange(event) {
+    const input = event.target;
+    const file = input instanceof HTMLInputElement ? input.files?.[0] : null;
+    if (!file) return;
+
+    // Allow importing the same file again after editing it
+    if (input instanceof HTMLInputElement) input.value = '';
+
+    const { importPreview, importRows, importApply } = this.refs;
+    if (!importPreview || !importRows) return;
+
+    this.#clearSuccessMessage();
+    this.#clearErrorMessage();
+    this.#resetImportedInputs();
+
+    const lines = parseOrderFile(await file.text());
+    if (!lines) {
+      importPreview.hidden = true;
+      this.#showErrorMessage(importPreview.dataset.invalidFileMessage ?? '');
+      return;
+    }
+
+    const changes = await this.#getImportChanges(lines);
+    this.#importChanges = changes.filter(({ issue }) => !issue);
+
+    importRows.replaceChildren(...changes.map(renderImportRow));
+    if (importApply) importApply.disabled = this.#importChanges.length === 0;
+    importPreview.hidden = false;
+
+    for (const { variant, quantity } of this.#importChanges) {
+      if (!variant) continue;
+
+      const row = this.refs.variantRows.find((row) => row.dataset.variantId === String(variant.id));
+      if (!row) continue;
+
+      row.classList.add('variant-item--imported');
+      for (const quantityInput of row.querySelectorAll('input[data-cart-quantity]')) {
+        if (quantityInput instanceof HTMLInputElement) quantityInput.value = quantity.toString();
+      }
+    }
+  }
+
+  /**
+   * Updates the cart with the valid quantities of the imported order in a single update
+   * @param {Event} event - The click event
+   */
+  async onImportApply(event) {
+    event.preventDefault();
+
+    const changes = this.#importChanges;
+    if (changes.length === 0) return;
+
+    /** @type {Record<string, number>} */
+    const updates = {};
+    let quantityAdded = 0;
+
+    for (const { variant, currentQuantity, quantity } of changes) {
+      if (!variant) continue;
+
+      updates[String(variant.id)] = quantity;
+      quantityAdded += Math.max(quantity - currentQuantity, 0);
+    }
+
+    const { importApply } = this.refs;
+
+    this.#clearSuccessMessage();
+    this.#clearErrorMessage();
+    this.#applyShimmerEffects(Object.keys(updates));
+    this.#disableQuickOrderListItems();
+    if (importApply) importApply.disabled = true;
+
+    this.#abortController?.abort();
+    this.#abortController = new AbortController();
+
+    try {
+      const sectionsUrl = new URL(window.location.pathname, window.location.origin);
+      sectionsUrl.searchParams.set('page', this.currentPage.toString());
+
+      const body = {
+        updates,
+        sections: this.#getSectionIds().join(','),
+        sections_url: sectionsUrl.pathname + sectionsUrl.search,
+      };
+
+      const data = await cartStore.update(body, { signal: this.#abortController.signal });
+
+      resetShimmer(this);
+      this.#enableQuickOrderListItems();
+
+      if (data.errors) {
+        this.#showErrorMessage(data.errors);
+        return;
+      }
+
+      this.#closeImportPreview();
+      this.#updateSectionHTML(data);
+      if (quantityAdded > 0) this.#showSuccessMessage(quantityAdded);
+
+      document.dispatchEvent(
+        new CartAddEvent(data, this.id, {
+          source: 'quick-order-import',
+          itemCount: quantityAdded,
+          sections: data.sections,
+        })
+      );
+    } catch (error) {
+      if (error instanceof CartMutationQueuedError) {
+        this.#enableQuickOrderListItems();
+        resetShimmer(this);
+        this.#closeImportPreview();
+        this.#showErrorMessage(Theme.translations.cart_mutation_queued);
+      } else if (error.name !== 'AbortError') {
+        this.#enableQuickOrderListItems();
+        resetShimmer(this);
+        throw error;
+      }
+    } finally {
+      if (importApply) importApply.disabled = this.#importChanges.length === 0;
+    }
+  }
+
+  /**
+   * Discards the imported order and restores the quantity inputs
+   * @param {Event} event - The click event
+   */
+  onImportCancel(event) {
+    event.preventDefault();
+
+    this.#resetImportedInputs();
+    this.#closeImportPreview();
+  }
+
+  #closeImportPreview() {
+    this.#importChanges = [];
+
+    const { importPreview, importRows } = this.refs;
+    if (importRows) importRows.replaceChildren();
+    if (importPreview) importPreview.hidden = true;
+  }
+
+  /**
+   * Restores the quantity inputs that were pre-filled by an import to the quantities in the cart
+   */
+  #resetImportedInputs() {
+    for (const row of this.refs.variantRows) {
+      if (!row.classList.contains('variant-item--imported')) continue;
+
+      row.classList.remove('variant-item--imported');
+      for (const quantityInput of row.querySelectorAll('input[data-cart-quantity]')) {
+        if (quantityInput instanceof HTMLInputElement) quantityInput.value = quantityInput.dataset.cartQuantity || '0';
+      }
+    }
+  }
+
+  /**
+   * Resolves the imported lines to variants and validates their quantities against the quantity rules.
+   * Lines that match the cart are left out.
+   * @param {ImportLine[]} lines - The imported lines
+   * @returns {Promise<ImportChange[]>} The changes, valid or not
+   */
+  async #getImportChanges(lines) {
+    const variants = await this.#getVariants();
+    const {
+      unknownMessage = '',
+      soldOutMessage = '',
+      minMessage = '',
+      maxMessage = '',
+      incrementMessage = '',
+    } = this.refs.importPreview?.dataset ?? {};
+
+    /** @type {ImportChange[]} */
+    const changes = [];
+
+    for (const { variantId, sku, quantity } of lines) {
+      const variant = variantId
+        ? variants.find(({ id }) => String(id) === variantId)
+        : variants.find((variant) => variant.sku?.toLowerCase() === sku.toLowerCase());
+
+      if (!variant) {
+        changes.push({ variant, label: variantId || sku, currentQuantity: 0, quantity, issue: unknownMessage });
+        continue;
+      }
+
+      const currentQuantity = cartStore.cart ? cartStore.getVariantQuantity(String(variant.id)) : variant.cart_quantity;
+      if (currentQuantity === quantity) continue;
+
+      // Setting a quantity to 0 removes the variant, which the quantity rules don't apply to
+      let issue = '';
+      if (quantity > 0) {
+        if (!variant.available) {
+          issue = soldOutMessage;
+        } else if (quantity < variant.min) {
+          issue = minMessage.replace('{{ min }}', variant.min.toString());
+        } else if (variant.max !== null && quantity > variant.max) {
+          issue = maxMessage.replace('{{ max }}', variant.max.toString());
+        } else if (quantity % variant.increment !== 0) {
+          issue = incrementMessage.replace('{{ increment }}', variant.increment.toString());
+        }
+      }
+
+      changes.push({ variant, label: variant.title, currentQuantity, quantity, issue });
+    }
+
+    return changes;
+  }
+
+  /**
+   * @returns {Promise<BulkVariant[]>} Every variant of the product
+   */
+  async #getVariants() {
+    /** @type {BulkVariant[]} */
+    const variants = JSON.parse(this.refs.variantData?.textContent || '[]');
+
+    this.#remainingVariants ??= this.#fetchRemainingVariants();
+
+    return [...variants, ...(await this.#remainingVariants)];
+  }
+
+  /**
+   * Fetches the variants after the ones listed in the section, one page at a time
+   * @returns {Promise<BulkVariant[]>} The variants
+   */
+  async #fetchRemainingVariants() {
+    const pageCount = Math.ceil((Number(this.dataset.variantsCount) || 0) / VARIANT_DATA_PAGE_SIZE);
+
+    /** @type {BulkVariant[]} */
+    const variants = [];
+
+    try {
+      for (let page = 2; page <= pageCount; page++) {
+        const url = new URL(this.dataset.url || '', window.location.origin);
+        url.searchParams.set('page', page.toString());
+
+        const html = await sectionRenderer.getSectionHTML(VARIANT_DATA_SECTION_ID, false, url);
+        const variantData = new DOMParser().parseFromString(html, 'text/html').querySelector('[ref="variantData"]');
+
+        variants.push(...JSON.parse(variantData?.textContent || '[]'));
+      }
+    } catch (error) {
+      // Fetched again the next time the variants are needed
+      this.#remainingVariants = null;
+      console.error('Failed to load the variants:', error);
+    }
+
+    return variants;
+  }
+
   /**
    * Handles quantity selector updates
    * @param {CustomEvent} event - The quantity update event
@@ -289,7 +1003,8 @@ class QuickOrderListComponent extends Component {
     if (!variantId) return;
 
     const quantityInput = /** @type {HTMLInputElement|null} */ (variantRow.querySelector('input[data-cart-quantity]'));
-    const currentCartQuantity = quantityInput ? parseInt(quantityInput.dataset.cartQuantity || '0') || 0 : 0;
+    const renderedCartQuantity = parseInt(quantityInput?.dataset.cartQuantity || '0') || 0;
+    const currentCartQuantity = cartStore.cart ? cartStore.getVariantQuantity(variantId) : renderedCartQuantity;
 
     this.#clearSuccessMessage();
     this.#clearErrorMessage();
@@ -313,19 +1028,13 @@ class QuickOrderListComponent extends Component {
       const sectionsUrl = new URL(window.location.pathname, window.location.origin);
       sectionsUrl.searchParams.set('page', this.currentPage.toString());
 
-      const body = JSON.stringify({
+      const body = {
         updates: updates,
         sections: this.#getSectionIds().join(','),
         sections_url: sectionsUrl.pathname + sectionsUrl.search,
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...fetchConfig('json', { body }),
-        signal: this.#abortController.signal,
-      });
+      };
 
-      const responseText = await response.text();
-      const data = JSON.parse(responseText);
+      const data = await cartStore.update(body, { signal: this.#abortController.signal });
 
       resetShimmer(this);
 
@@ -353,7 +1062,11 @@ class QuickOrderListComponent extends Component {
         );
       }
     } catch (error) {
-      if (error.name !== 'AbortError') {
+      if (error instanceof CartMutationQueuedError) {
+        this.#enableQuickOrderListItems();
+        resetShimmer(this);
+        this.#showErrorMessage(Theme.translations.cart_mutation_queued);
+      } else if (error.name !== 'AbortError') {
         this.#enableQuickOrderListItems();
         resetShimmer(this);
         throw error;
@@ -391,6 +1104,7 @@ class QuickOrderListComponent extends Component {
         cache: false,
         url,
       });
+      await this.#renderFilteredVariants();
     }
   }
 
@@ -502,11 +1216,27 @@ class QuickOrderListComponent extends Component {
     if (data.sections && this.dataset.sectionId) {
       const sectionHtml = data.sections[this.dataset.sectionId];
       if (sectionHtml) {
-        morphSection(this.dataset.sectionId, sectionHtml);
+        // The section is rendered unfiltered, so the filtered variants are rendered again afterwards
+        morphSection(this.dataset.sectionId, sectionHtml).then(() => this.#renderFilteredVariants());
       }
     }
   }
 
+  /**
+   * Gets the lines of variants in the cart, loading the cart first when no mutation has loaded it on this page yet
+   * @param {number[]} variantIds - The variant IDs
+   * @returns {Promise<import('./cart-store').CartLine[]>} The lines of the variants
+   */
+  async #getCartLines(variantIds) {
+    try {
+      const cart = await cartStore.get();
+      return cart.items.filter((item) => variantIds.includes(item.variant_id));
+    } catch (error) {
+      console.error('Failed to load the cart:', error);
+      return [];
+    }
+  }
+
   /**
    * Gets the section IDs for updating
    * @returns {string[]} Array of section IDs
@@ -531,6 +1261,198 @@ class QuickOrderListComponent extends Component {
   }
 }
 
+/**
+ * Parses lines of `SKU,quantity`, also separated by semicolons or tabs as exported by spreadsheets.
+ * A header line is skipped.
+ * @param {string} text - The pasted or uploaded text
+ * @returns {{ skuLines: SkuLine[], invalidLines: number[] }} The parsed lines and the numbers of the invalid ones
+ */
+function parseSkuLines(text) {
+  /** @type {SkuLine[]} */
+  const skuLines = [];
+  /** @type {number[]} */
+  const invalidLines = [];
+
+  text.split(/\r?\n/).forEach((content, index) => {
+    const line = index + 1;
+    if (!content.trim()) return;
+
+    const [sku = '', quantity = ''] = content.split(/[,;\t]/).map((cell) => cell.trim().replace(/^"|"$/g, ''));
+    const parsedQuantity = Number(quantity);
+
+    if (line === 1 && sku.toLowerCase() === 'sku') return;
+
+    if (!sku || !Number.isInteger(parsedQuantity) || parsedQuantity < 1) {
+      invalidLines.push(line);
+      return;
+    }
+
+    skuLines.push({ line, sku, quantity: parsedQuantity });
+  });
+
+  return { skuLines, invalidLines };
+}
+
+/**
+ * @param {string} message - The translated message, with `{{ line }}` and `{{ sku }}` placeholders
+ * @param {number} line - The line number
+ * @param {string} [sku] - The SKU
+ * @returns {string} The message for the line
+ */
+function formatBulkMessage(message, line, sku = '') {
+  return message.replace('{{ line }}', line.toString()).replace('{{ sku }}', sku);
+}
+
+/**
+ * Filters and sorts the variants by the search terms, option values and sort order in the URL.
+ * @param {BulkVariant[]} variants - Every variant of the product, in the order they're listed in
+ * @param {URLSearchParams} params - The URL parameters
+ * @returns {{ variant: BulkVariant, index: number }[]} The matching variants, with their position in the full list
+ */
+function filterVariants(variants, params) {
+  const terms = (params.get('q') ?? '').trim().toLowerCase();
+  const sort = params.get('sort');
+
+  const matches = variants
+    .map((variant, index) => ({ variant, index }))
+    .filter(({ variant }) => {
+      if (terms && !`${variant.title} ${variant.sku ?? ''}`.toLowerCase().includes(terms)) return false;
+
+      return variant.options.every((value, position) => {
+        const filter = params.get(`option${position + 1}`);
+        return !filter || filter === value;
+      });
+    });
+
+  /** @param {BulkVariant} variant */
+  const cartQuantity = (variant) =>
+    cartStore.cart ? cartStore.getVariantQuantity(String(variant.id)) : variant.cart_quantity;
+
+  /** @type {Record<string, (a: BulkVariant, b: BulkVariant) => number>} */
+  const comparators = {
+    'sku-ascending': (a, b) => (a.sku ?? '').localeCompare(b.sku ?? '', undefined, { numeric: true }),
+    'sku-descending': (a, b) => (b.sku ?? '').localeCompare(a.sku ?? '', undefined, { numeric: true }),
+    'price-ascending': (a, b) => a.price - b.price,
+    'price-descending': (a, b) => b.price - a.price,
+    'in-cart': (a, b) => Number(cartQuantity(b) > 0) - Number(cartQuantity(a) > 0),
+  };
+
+  const comparator = sort ? comparators[sort] : undefined;
+  if (comparator) matches.sort((a, b) => comparator(a.variant, b.variant));
+
+  return matches;
+}
+
+/**
+ * Parses an exported order, either a JSON list of lines or a CSV file with a header row.
+ * @param {string} text - The content of the file
+ * @returns {ImportLine[] | null} The lines, or null when the file can't be read
+ */
+function parseOrderFile(text) {
+  /** @type {Record<string, unknown>[]} */
+  let records;
+
+  if (text.trimStart().startsWith('[')) {
+    try {
+      records = JSON.parse(text);
+    } catch (_) {
+      return null;
+    }
+
+    if (!Array.isArray(records)) return null;
+  } else {
+    const [header = [], ...rows] = text
+      .split(/\r?\n/)
+      .filter((line) => line.trim())
+      .map(parseCsvRow);
+    const columns = header.map((column) => column.trim().toLowerCase());
+
+    if (!columns.includes('quantity')) return null;
+
+    records = rows.map((cells) => Object.fromEntries(columns.map((column, index) => [column, cells[index]])));
+  }
+
+  /** @type {ImportLine[]} */
+  const lines = [];
+
+  for (const record of records) {
+    if (typeof record !== 'object' || record === null) return null;
+
+    const variantId = String(record.variant_id ?? '').trim();
+    const sku = String(record.sku ?? '').trim();
+    const quantity = String(record.quantity ?? '').trim();
+
+    if ((!variantId && !sku) || !/^\d+$/.test(quantity)) return null;
+
+    lines.push({ variantId, sku, quantity: Number(quantity) });
+  }
+
+  return lines;
+}
+
+/**
+ * Splits a CSV row into its cells, unescaping quoted cells.
+ * @param {string} row - The row
+ * @returns {string[]} The cells
+ */
+function parseCsvRow(row) {
+  /** @type {string[]} */
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let index = 0; index < row.length; index++) {
+    const character = row[index];
+
+    if (quoted) {
+      if (character === '"' && row[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (character === '"') {
+        quoted = false;
+      } else {
+        cell += character;
+      }
+    } else if (character === '"') {
+      quoted = true;
+    } else if (character === ',') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += character;
+    }
+  }
+
+  cells.push(cell);
+
+  return cells;
+}
+
+/**
+ * @param {string | number} value - The value of the cell
+ * @returns {string} The value quoted for a CSV file
+ */
+function formatCsvCell(value) {
+  return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+/**
+ * @param {ImportChange} change - The change to preview
+ * @returns {HTMLTableRowElement} The preview row
+ */
+function renderImportRow({ label, currentQuantity, quantity, issue }) {
+  const row = document.createElement('tr');
+  row.classList.toggle('quick-order-list__import-row--invalid', Boolean(issue));
+
+  for (const value of [label, currentQuantity.toString(), quantity.toString(), issue]) {
+    const cell = document.createElement('td');
+    cell.textContent = value;
+    row.append(cell);
+  }
+
+  return row;
+}
+
 if (!customElements.get('quick-order-list-component')) {
   customElements.define('quick-order-list-component', QuickOrderListComponent);
 }
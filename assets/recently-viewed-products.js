@@ -1,35 +1,258 @@
+import { Component } from '@theme/component';
+import { RecentlyViewedUpdateEvent, ThemeEvents } from '@theme/events';
+import { sectionRenderer } from '@theme/section-renderer';
+import { morph } from '@theme/morph';
+
+// The key used to store the viewed products in local storage
+const STORAGE_KEY = 'viewedProducts';
+
+// The section rendering the cards of the recently viewed products, against the search page
+const RENDERING_SECTION_ID = 'section-rendering-recently-viewed';
+
+/**
+ * @typedef {object} RecentlyViewedEntry
+ * @property {string} productId - The ID of the product
+ * @property {string} variantId - The ID of the variant that was viewed
+ * @property {string} handle - The handle of the product
+ * @property {number} timestamp - When the variant was last viewed, in milliseconds since the epoch
+ */
+
 /**
  * Updates the recently viewed products in localStorage.
+ *
+ * The number of entries and how long they are kept for are configured in the theme settings.
  */
 export class RecentlyViewed {
-  /** @static @constant {string} The key used to store the viewed products in session storage */
-  static #STORAGE_KEY = 'viewedProducts';
-  /** @static @constant {number} The maximum number of products to store */
-  static #MAX_PRODUCTS = 4;
+  /** @static @constant {number} The number of entries to store when the theme settings don't set one */
+  static #DEFAULT_MAX_ENTRIES = 4;
+  /** @static @constant {number} The number of days entries are kept for when the theme settings don't set one */
+  static #DEFAULT_MAX_AGE_DAYS = 30;
 
   /**
-   * Adds a product to the recently viewed products list.
-   * @param {string} productId - The ID of the product to add.
+   * Adds a viewed variant to the top of the recently viewed products list.
+   * @param {Omit<RecentlyViewedEntry, 'timestamp'>} entry - The viewed variant.
+   * @param {string} [sourceId] - The id of the element the action was triggered from.
    */
-  static addProduct(productId) {
-    let viewedProducts = this.getProducts();
+  static addProduct({ productId, variantId, handle }, sourceId = 'recently-viewed') {
+    // Each variant is kept once. Entries of earlier versions have no variant, any variant of their product replaces it.
+    const entries = this.getEntries().filter((entry) =>
+      entry.variantId ? entry.variantId !== variantId : entry.productId !== productId
+    );
 
-    viewedProducts = viewedProducts.filter((/** @type {string} */ id) => id !== productId);
-    viewedProducts.unshift(productId);
-    viewedProducts = viewedProducts.slice(0, this.#MAX_PRODUCTS);
+    entries.unshift({ productId, variantId, handle, timestamp: Date.now() });
 
-    localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(viewedProducts));
+    this.#setEntries(entries.slice(0, this.#maxEntries), sourceId);
   }
 
-  static clearProducts() {
-    localStorage.removeItem(this.#STORAGE_KEY);
+  /**
+   * Clears the recently viewed products list.
+   * @param {string} [sourceId] - The id of the element the action was triggered from.
+   */
+  static clearProducts(sourceId = 'recently-viewed') {
+    localStorage.removeItem(STORAGE_KEY);
+    document.dispatchEvent(new RecentlyViewedUpdateEvent([], sourceId));
   }
 
   /**
-   * Retrieves the list of recently viewed products from session storage.
+   * Retrieves the entries that haven't expired, most recently viewed first.
+   * @returns {RecentlyViewedEntry[]} The list of entries.
+   */
+  static getEntries() {
+    /** @type {(RecentlyViewedEntry | string)[]} */
+    let stored;
+
+    try {
+      stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    } catch (_) {
+      return [];
+    }
+
+    if (!Array.isArray(stored)) return [];
+
+    // Earlier versions stored bare product IDs without the time they were viewed, they expire from their first read
+    if (stored.some((entry) => typeof entry === 'string')) {
+      const now = Date.now();
+      stored = stored.map((entry) =>
+        typeof entry === 'string' ? { productId: entry, variantId: '', handle: '', timestamp: now } : entry
+      );
+
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+      } catch (_) {
+        // Storage is full or unavailable, the entries are converted again on the next read
+      }
+    }
+
+    const expiresBefore = Date.now() - this.#maxAgeDays * 24 * 60 * 60 * 1000;
+
+    return /** @type {RecentlyViewedEntry[]} */ (stored).filter(
+      (entry) => typeof entry?.productId === 'string' && entry.timestamp > expiresBefore
+    );
+  }
+
+  /**
+   * Retrieves the IDs of the recently viewed products, most recently viewed first.
    * @returns {string[]} The list of viewed products.
    */
   static getProducts() {
-    return JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+    return [...new Set(this.getEntries().map((entry) => entry.productId))];
+  }
+
+  static get #maxEntries() {
+    return Theme.recently_viewed?.max_entries || this.#DEFAULT_MAX_ENTRIES;
+  }
+
+  static get #maxAgeDays() {
+    return Theme.recently_viewed?.max_age_days || this.#DEFAULT_MAX_AGE_DAYS;
+  }
+
+  /**
+   * @param {RecentlyViewedEntry[]} entries - The entries to store.
+   * @param {string} sourceId - The id of the element the action was triggered from.
+   */
+  static #setEntries(entries, sourceId) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+    document.dispatchEvent(new RecentlyViewedUpdateEvent(entries, sourceId));
+  }
+}
+
+// Keep the other tabs in sync
+window.addEventListener('storage', (event) => {
+  if (event.key !== STORAGE_KEY) return;
+
+  document.dispatchEvent(new RecentlyViewedUpdateEvent(RecentlyViewed.getEntries(), 'storage'));
+});
+
+/**
+ * A custom element that renders the recently viewed products through the Section Rendering API.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} list - The container of the product cards carousel.
+ * @property {HTMLTemplateElement} arrows - The carousel arrows, rendered with the settings of the section.
+ *
+ * @extends {Component<Refs>}
+ */
+class RecentlyViewedProductsComponent extends Component {
+  requiredRefs = ['list', 'arrows'];
+
+  /**
+   * The search terms of the products that are currently rendered
+   * @type {string | null}
+   */
+  #renderedTerms = null;
+
+  /** @type {AbortController | null} */
+  #activeFetch = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.recentlyViewedUpdate, this.#render);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.recentlyViewedUpdate, this.#render);
+    this.#activeFetch?.abort();
+  }
+
+  #render = async () => {
+    const { productId, maxProducts } = this.dataset;
+
+    // The product that is being viewed isn't shown
+    const products = RecentlyViewed.getProducts()
+      .filter((id) => id !== productId)
+      .slice(0, Number(maxProducts) || undefined);
+
+    if (products.length === 0) {
+      this.#activeFetch?.abort();
+      this.#renderedTerms = null;
+      this.hidden = true;
+      return;
+    }
+
+    const terms = products.map((id) => `id:${id}`).join(' OR ');
+
+    if (terms === this.#renderedTerms) {
+      this.#renderViewedTimes();
+      return;
+    }
+
+    this.#activeFetch?.abort();
+    const abortController = new AbortController();
+    this.#activeFetch = abortController;
+
+    const url = new URL(Theme.routes.search_url, location.origin);
+    url.searchParams.set('q', terms);
+    url.searchParams.set('resources[type]', 'product');
+
+    const sectionHTML = await sectionRenderer.getSectionHTML(RENDERING_SECTION_ID, false, url);
+    if (abortController.signal.aborted) return;
+
+    const newList = new DOMParser().parseFromString(sectionHTML, 'text/html').querySelector('[ref="list"]');
+    if (!newList) return;
+
+    this.#applyCarouselSettings(newList);
+    morph(this.refs.list, newList);
+
+    this.#renderedTerms = terms;
+    this.#renderViewedTimes();
+    this.hidden = false;
+  };
+
+  /**
+   * Applies the arrows and width of the section to the carousel, which the rendering section renders without them.
+   * @param {Element} list - The rendered list.
+   */
+  #applyCarouselSettings(list) {
+    list.querySelector('slideshow-arrows')?.replaceWith(this.refs.arrows.content.cloneNode(true));
+
+    if (this.dataset.sectionWidth !== 'page-width') return;
+
+    const carousel = list.querySelector('.resource-list__carousel');
+    if (carousel instanceof HTMLElement) {
+      carousel.style.setProperty('--gutter-slide-width', 'var(--util-page-margin-offset)');
+    }
+
+    list.querySelector('slideshow-slides')?.setAttribute('gutters', 'start end');
+  }
+
+  /**
+   * Shows when each product was last viewed, e.g. "2 hours ago".
+   */
+  #renderViewedTimes() {
+    if (this.dataset.showViewedTime !== 'true') return;
+
+    const entries = RecentlyViewed.getEntries();
+    const formatter = new Intl.RelativeTimeFormat(document.documentElement.lang || undefined, { numeric: 'auto' });
+
+    for (const element of this.querySelectorAll('[data-viewed-product-id]')) {
+      if (!(element instanceof HTMLElement)) continue;
+
+      const entry = entries.find(({ productId }) => productId === element.dataset.viewedProductId);
+      element.textContent = entry ? formatRelativeTime(formatter, entry.timestamp) : '';
+    }
   }
 }
+
+/**
+ * @param {Intl.RelativeTimeFormat} formatter - The formatter to use.
+ * @param {number} timestamp - The time to format, in milliseconds since the epoch.
+ * @returns {string} The time relative to now, in the largest unit that fits.
+ */
+function formatRelativeTime(formatter, timestamp) {
+  const minutes = Math.round((timestamp - Date.now()) / (60 * 1000));
+
+  if (Math.abs(minutes) < 60) return formatter.format(minutes, 'minute');
+
+  const hours = Math.round(minutes / 60);
+  if (Math.abs(hours) < 24) return formatter.format(hours, 'hour');
+
+  return formatter.format(Math.round(hours / 24), 'day');
+}
+
+if (!customElements.get('recently-viewed-products')) {
+  customElements.define('recently-viewed-products', RecentlyViewedProductsComponent);
+}
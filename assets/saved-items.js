@@ -0,0 +1,290 @@
+import { Component } from '@theme/component';
+import { CartAddEvent, CartErrorEvent, SavedItemsUpdateEvent, ThemeEvents } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
+import { CartMutationQueuedError } from '@theme/cart-mutation-queue';
+import { formatMoney } from '@theme/money-formatting';
+
+/** @typedef {import('./cart-store').CartLine} CartLine */
+
+// The key used to store the saved items in local storage
+const STORAGE_KEY = 'savedItems';
+
+/**
+ * @typedef {Object} SavedItem
+ * @property {string} id - Identifies the variant, properties and selling plan combination
+ * @property {number} variant_id - The variant ID
+ * @property {number} product_id - The product ID
+ * @property {number} quantity - The quantity
+ * @property {Record<string, string> | null} properties - The line item properties
+ * @property {number} [selling_plan] - The selling plan ID
+ * @property {string} title - The title of the product
+ * @property {string | null} [variant_title] - The title of the variant
+ * @property {string} [url] - The URL of the variant
+ * @property {string} [image] - The image URL
+ * @property {number} price - The price of a single unit in minor units, when it was saved
+ * @property {string} [currency] - The currency of the price
+ */
+
+/**
+ * Stores the items saved for later in localStorage.
+ */
+export class SavedItems {
+  /**
+   * Saves a cart line for later, merging it with an identical saved item.
+   * @param {CartLine} line - The cart line to save.
+   * @param {string} sourceId - The id of the element the action was triggered from.
+   */
+  static addLine(line, sourceId) {
+    const item = toSavedItem(line);
+    const items = this.getItems();
+    const existing = items.find(({ id }) => id === item.id);
+
+    if (existing) {
+      existing.quantity += item.quantity;
+    } else {
+      items.unshift(item);
+    }
+
+    this.#setItems(items, sourceId);
+  }
+
+  /**
+   * Removes an item from the saved items.
+   * @param {string} id - The ID of the saved item.
+   * @param {string} sourceId - The id of the element the action was triggered from.
+   */
+  static removeItem(id, sourceId) {
+    this.#setItems(
+      this.getItems().filter((item) => item.id !== id),
+      sourceId
+    );
+  }
+
+  /**
+   * Retrieves the saved items from local storage.
+   * @returns {SavedItem[]} The saved items.
+   */
+  static getItems() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * @param {SavedItem[]} items - The saved items.
+   * @param {string} sourceId - The id of the element the action was triggered from.
+   */
+  static #setItems(items, sourceId) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+    document.dispatchEvent(new SavedItemsUpdateEvent(items, sourceId));
+  }
+}
+
+// Keep the other tabs in sync
+window.addEventListener('storage', (event) => {
+  if (event.key !== STORAGE_KEY) return;
+
+  document.dispatchEvent(new SavedItemsUpdateEvent(SavedItems.getItems(), 'storage'));
+});
+
+/**
+ * A custom element that renders the items saved for later, below the cart.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLUListElement} list - The list of saved items.
+ * @property {HTMLTemplateElement} itemTemplate - The template of a saved item.
+ *
+ * @extends {Component<Refs>}
+ */
+class SavedItemsComponent extends Component {
+  requiredRefs = ['list', 'itemTemplate'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.savedItemsUpdate, this.#render);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.savedItemsUpdate, this.#render);
+  }
+
+  /**
+   * Moves a saved item back to the cart.
+   * @param {Event} event - The click event.
+   */
+  async moveToCart(event) {
+    if (!(event.target instanceof HTMLButtonElement)) return;
+
+    const button = event.target;
+    const id = button.closest('li')?.dataset.savedItemId;
+    const item = SavedItems.getItems().find((savedItem) => savedItem.id === id);
+    if (!item) return;
+
+    button.disabled = true;
+
+    const sectionIds = new Set();
+    document.querySelectorAll('cart-items-component').forEach((cartItems) => {
+      if (cartItems instanceof HTMLElement && cartItems.dataset.sectionId) {
+        sectionIds.add(cartItems.dataset.sectionId);
+      }
+    });
+
+    try {
+      const response = await cartStore.add({
+        items: [
+          {
+            id: item.variant_id,
+            quantity: item.quantity,
+            properties: item.properties ?? undefined,
+            selling_plan: item.selling_plan,
+          },
+        ],
+        sections: Array.from(sectionIds).join(','),
+      });
+
+      if (response.status) {
+        this.dispatchEvent(new CartErrorEvent(this.id, response.message, response.description, response.errors));
+        this.#showError(button, response.message);
+        return;
+      }
+
+      SavedItems.removeItem(item.id, this.id);
+
+      const cart = await cartStore.get();
+
+      this.dispatchEvent(
+        new CartAddEvent(cart, this.id, {
+          source: 'saved-items',
+          itemCount: item.quantity,
+          productId: String(item.product_id),
+          sections: response.sections,
+        })
+      );
+    } catch (error) {
+      if (error instanceof CartMutationQueuedError) {
+        // The item is added once the connection is back
+        SavedItems.removeItem(item.id, this.id);
+        return;
+      }
+
+      console.error(error);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Removes a saved item without adding it to the cart.
+   * @param {Event} event - The click event.
+   */
+  removeItem(event) {
+    if (!(event.target instanceof Element)) return;
+
+    const id = event.target.closest('li')?.dataset.savedItemId;
+    if (id) SavedItems.removeItem(id, this.id);
+  }
+
+  #render = () => {
+    const { list, itemTemplate } = this.refs;
+    const items = SavedItems.getItems();
+
+    this.hidden = items.length === 0;
+
+    list.replaceChildren(
+      ...items.map((item) => {
+        const fragment = /** @type {DocumentFragment} */ (itemTemplate.content.cloneNode(true));
+        const element = /** @type {HTMLElement} */ (fragment.firstElementChild);
+
+        element.dataset.savedItemId = item.id;
+
+        for (const link of element.querySelectorAll('a')) {
+          if (item.url) link.href = item.url;
+        }
+
+        const image = element.querySelector('img');
+        if (image) {
+          if (item.image) {
+            image.src = item.image;
+            image.alt = item.title;
+          } else {
+            image.remove();
+          }
+        }
+
+        setText(element, '.saved-items__title', item.title);
+        setText(element, '.saved-items__variant', item.variant_title ?? '');
+        setText(element, '.saved-items__quantity', item.quantity.toString());
+        setText(element, '.saved-items__price', this.#formatPrice(item));
+
+        return element;
+      })
+    );
+  };
+
+  /**
+   * @param {SavedItem} item - The saved item.
+   * @returns {string} The formatted price of the item.
+   */
+  #formatPrice(item) {
+    const currency = item.currency ?? this.dataset.currency;
+    if (!currency) return '';
+
+    return formatMoney(item.price * item.quantity, this.dataset.moneyFormat || '{{amount}}', currency);
+  }
+
+  /**
+   * @param {HTMLButtonElement} button - The move to cart button.
+   * @param {string} message - The error message.
+   */
+  #showError(button, message) {
+    const error = button.closest('li')?.querySelector('.saved-items__error');
+    if (!(error instanceof HTMLElement)) return;
+
+    error.textContent = message;
+    error.hidden = false;
+  }
+}
+
+/**
+ * @param {CartLine} line - The cart line.
+ * @returns {SavedItem} The saved item for the line.
+ */
+function toSavedItem(line) {
+  const sellingPlan = line.selling_plan_allocation?.selling_plan.id;
+  const properties = line.properties && Object.keys(line.properties).length ? line.properties : null;
+
+  return {
+    id: [line.variant_id, sellingPlan ?? '', properties ? JSON.stringify(properties) : ''].join(':'),
+    variant_id: line.variant_id,
+    product_id: line.product_id,
+    quantity: line.quantity,
+    properties,
+    selling_plan: sellingPlan,
+    title: line.product_title ?? line.title ?? '',
+    variant_title: line.variant_title,
+    url: line.url,
+    image: line.image,
+    price: line.final_price,
+    currency: cartStore.cart?.currency,
+  };
+}
+
+/**
+ * @param {Element} element - The element to search in.
+ * @param {string} selector - The selector of the element to update.
+ * @param {string} text - The text to set.
+ */
+function setText(element, selector, text) {
+  const target = element.querySelector(selector);
+  if (target) target.textContent = text;
+}
+
+if (!customElements.get('saved-items-component')) {
+  customElements.define('saved-items-component', SavedItemsComponent);
+}
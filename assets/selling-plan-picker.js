@@ -0,0 +1,126 @@
+import { Component } from '@theme/component';
+import { SellingPlanUpdateEvent, ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { morph } from '@theme/morph';
+import { yieldToMainThread } from '@theme/utilities';
+
+/**
+ * A custom element that lets shoppers pick between a one-time purchase and a subscription to a product.
+ * The selected plan input is named `selling_plan`, so it's submitted with the product form it's rendered in.
+ * Plan inputs are disabled while the one-time purchase is selected.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLInputElement} [subscribeOption] - The subscription purchase option.
+ * @property {HTMLElement} [plans] - The selling plans container.
+ * @property {HTMLInputElement[]} [planInputs] - The input of each selling plan.
+ *
+ * @extends {Component<Refs>}
+ */
+class SellingPlanPickerComponent extends Component {
+  connectedCallback() {
+    super.connectedCallback();
+
+    const closestSection = this.closest('.shopify-section, dialog');
+    closestSection?.addEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate);
+
+    // The price is rendered for a one-time purchase, so it's updated when a plan is selected by default
+    if (this.#isSubscribing) yieldToMainThread().then(() => this.#update());
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    const closestSection = this.closest('.shopify-section, dialog');
+    closestSection?.removeEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate);
+  }
+
+  onPurchaseOptionChange() {
+    this.#update();
+  }
+
+  onPlanChange() {
+    this.#update();
+  }
+
+  /**
+   * Whether the subscription is selected, which is always the case for products that require a selling plan
+   * @returns {boolean}
+   */
+  get #isSubscribing() {
+    const subscribeOption = this.querySelector('[ref="subscribeOption"]');
+    return subscribeOption instanceof HTMLInputElement && subscribeOption.checked;
+  }
+
+  /**
+   * @returns {HTMLInputElement[]} The plan inputs, queried directly as refs are only refreshed after a morph
+   */
+  get #planInputs() {
+    return Array.from(this.querySelectorAll('input[name="selling_plan"]'));
+  }
+
+  /**
+   * Enables the plans when subscribing and lets the price know about the selected plan
+   */
+  #update() {
+    const subscribing = this.#isSubscribing;
+    const plans = this.querySelector('[ref="plans"]');
+    const planInputs = this.#planInputs;
+
+    if (plans instanceof HTMLElement) plans.hidden = !subscribing;
+    for (const input of planInputs) input.disabled = !subscribing;
+
+    let selectedPlan = planInputs.find((input) => input.checked);
+
+    if (subscribing && !selectedPlan && planInputs[0]) {
+      selectedPlan = planInputs[0];
+      selectedPlan.checked = true;
+    }
+
+    const allocation =
+      subscribing && selectedPlan
+        ? {
+            id: selectedPlan.value,
+            price: Number(selectedPlan.dataset.price),
+            compare_at_price: Number(selectedPlan.dataset.compareAtPrice),
+            per_delivery_price: Number(selectedPlan.dataset.perDeliveryPrice),
+          }
+        : null;
+
+    this.dispatchEvent(new SellingPlanUpdateEvent(allocation, this.id, { productId: this.dataset.productId || '' }));
+  }
+
+  /**
+   * Renders the plan prices of the new variant, keeping the purchase option and plan of the shopper.
+   * @param {VariantUpdateEvent} event - The variant update event
+   */
+  #handleVariantUpdate = async (event) => {
+    if (event.detail.data.newProduct) {
+      this.dataset.productId = event.detail.data.newProduct.id;
+    } else if (event.target instanceof HTMLElement && event.target.dataset.productId !== this.dataset.productId) {
+      return;
+    }
+
+    const newPicker = event.detail.data.html.querySelector(`selling-plan-picker-component[id="${this.id}"]`);
+    if (!newPicker) return;
+
+    const subscribing = this.#isSubscribing;
+    const selectedPlanId = this.#planInputs.find((input) => input.checked)?.value;
+
+    morph(this, newPicker, { childrenOnly: true });
+
+    const subscribeOption = this.querySelector('[ref="subscribeOption"]');
+    const oneTimeOption = this.querySelector('input[value="one_time"]');
+    const option = subscribing ? subscribeOption : oneTimeOption;
+    if (option instanceof HTMLInputElement) option.checked = true;
+
+    const selectedPlan = this.#planInputs.find((input) => input.value === selectedPlanId);
+    if (selectedPlan) selectedPlan.checked = true;
+
+    // Lets the price render the new variant first
+    await yieldToMainThread();
+    this.#update();
+  };
+}
+
+if (!customElements.get('selling-plan-picker-component')) {
+  customElements.define('selling-plan-picker-component', SellingPlanPickerComponent);
+}
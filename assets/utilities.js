@@ -243,6 +243,41 @@ export function normalizeString(str) {
     .toLowerCase();
 }
 
+/**
+ * Counts the insertions, deletions, substitutions and swaps of adjacent characters that turn a string into another.
+ * @param {string} a - The first string
+ * @param {string} b - The second string
+ * @returns {number} The edit distance between the strings
+ */
+export function getEditDistance(a, b) {
+  /** @type {number[][]} */
+  const distances = [];
+
+  for (let i = 0; i <= a.length; i++) {
+    distances[i] = [i];
+  }
+
+  for (let j = 0; j <= b.length; j++) {
+    /** @type {number[]} */ (distances[0])[j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = /** @type {number[]} */ (distances[i]);
+    const previousRow = /** @type {number[]} */ (distances[i - 1]);
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min((previousRow[j] ?? 0) + 1, (row[j - 1] ?? 0) + 1, (previousRow[j - 1] ?? 0) + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j] ?? 0, (distances[i - 2]?.[j - 2] ?? 0) + 1);
+      }
+    }
+  }
+
+  return distances[a.length]?.[b.length] ?? 0;
+}
+
 /**
  * Check if the document is ready/loaded and call the callback when it is.
  * @param {() => void} callback The function to call when the document is ready.
@@ -70,14 +70,19 @@ export default class VariantPicker extends Component {
     const isOnProductPage =
       this.dataset.templateProductMatch === 'true' &&
       !event.target.closest('product-card') &&
-      !event.target.closest('quick-add-dialog');
+      !event.target.closest('quick-add-dialog') &&
+      !event.target.closest('bundle-builder-component') &&
+      !event.target.closest('frequently-bought-together-component');
 
     // Morph the entire main content for combined listings child products, because changing the product
     // might also change other sections depending on recommendations, metafields, etc.
     const currentUrl = this.dataset.productUrl?.split('?')[0];
     const newUrl = selectedOption.dataset.connectedProductUrl;
     const loadsNewProduct = isOnProductPage && !!newUrl && newUrl !== currentUrl;
-    const isOnFeaturedProductSection = Boolean(this.closest('featured-product-information'));
+    // Bundle builder and frequently bought together pickers only update themselves, even in a featured product section
+    const isOnFeaturedProductSection =
+      Boolean(this.closest('featured-product-information')) &&
+      !this.closest('bundle-builder-component, frequently-bought-together-component');
 
     const morphElementSelector = loadsNewProduct
       ? 'main'
@@ -277,6 +282,8 @@ export default class VariantPicker extends Component {
 
     // If variant-picker is a child of some specific sections, we need to append section_id=xxxx to the URL
     const SECTION_ID_MAP = {
+      'bundle-builder-component': 'section-rendering-bundle-item',
+      'frequently-bought-together-component': 'section-rendering-bundle-item',
       'quick-add-component': 'section-rendering-product-card',
       'swatches-variant-picker-component': 'section-rendering-product-card',
       'featured-product-information': this.closest('featured-product-information')?.id,
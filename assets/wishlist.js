@@ -0,0 +1,267 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, WishlistUpdateEvent } from '@theme/events';
+import { debounce, fetchConfig } from '@theme/utilities';
+import { morph } from '@theme/morph';
+import { sectionRenderer } from '@theme/section-renderer';
+
+// The key used to store the wishlist in local storage
+const STORAGE_KEY = 'wishlist';
+
+// The maximum number of products in the wishlist, matches the pagination of the wishlist section
+const MAX_PRODUCTS = 50;
+
+// The section rendering the cards of the wishlist products, against the search page
+const RENDERING_SECTION_ID = 'section-rendering-wishlist';
+
+// The key used to remember that the customer's saved wishlist was merged into this browser's
+const MERGED_KEY = 'wishlist-merged';
+
+/**
+ * Stores the IDs of the products in the wishlist in localStorage.
+ *
+ * When `Theme.wishlist.sync_url` is set, the wishlist of logged-in customers is also posted there, e.g. to an app proxy
+ * that saves it in the `custom.wishlist` customer metafield, and merged back in on their next visit.
+ */
+export class Wishlist {
+  /**
+   * Checks whether a product is in the wishlist.
+   * @param {string} productId - The ID of the product.
+   * @returns {boolean} Whether the product is in the wishlist.
+   */
+  static has(productId) {
+    return this.getProducts().includes(productId);
+  }
+
+  /**
+   * Adds a product to the wishlist, or removes it if it's already in it.
+   * @param {string} productId - The ID of the product.
+   * @param {string} sourceId - The id of the element the action was triggered from.
+   * @returns {boolean} Whether the product is now in the wishlist.
+   */
+  static toggle(productId, sourceId) {
+    const products = this.getProducts();
+    const isAdding = !products.includes(productId);
+
+    this.#setProducts(
+      isAdding ? [productId, ...products].slice(0, MAX_PRODUCTS) : products.filter((id) => id !== productId),
+      sourceId
+    );
+
+    return isAdding;
+  }
+
+  /**
+   * Retrieves the IDs of the products in the wishlist, most recently added first.
+   * @returns {string[]} The product IDs.
+   */
+  static getProducts() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * Merges the wishlist saved for the logged-in customer into this browser's, once per session.
+   */
+  static mergeCustomerProducts() {
+    const customerProducts = Theme.wishlist?.customer_products;
+    if (!Array.isArray(customerProducts) || sessionStorage.getItem(MERGED_KEY)) return;
+
+    sessionStorage.setItem(MERGED_KEY, 'true');
+
+    const products = this.getProducts();
+    const merged = [...new Set([...products, ...customerProducts.map(String)])].slice(0, MAX_PRODUCTS);
+    if (merged.length === products.length) return;
+
+    this.#setProducts(merged, 'customer');
+  }
+
+  /**
+   * @param {string[]} products - The product IDs.
+   * @param {string} sourceId - The id of the element the action was triggered from.
+   */
+  static #setProducts(products, sourceId) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(products));
+    document.dispatchEvent(new WishlistUpdateEvent(products, sourceId));
+
+    syncCustomerProducts(products);
+  }
+}
+
+/**
+ * Posts the wishlist of a logged-in customer to the sync URL
+ */
+const syncCustomerProducts = debounce(
+  /** @param {string[]} products */ (products) => {
+    const { sync_url: syncUrl, customer_products: customerProducts } = Theme.wishlist ?? {};
+
+    // Customer products are only rendered for logged-in customers
+    if (!syncUrl || customerProducts === undefined) return;
+
+    fetch(syncUrl, fetchConfig('json', { body: JSON.stringify({ products }) })).catch((error) => {
+      console.error('Failed to sync the wishlist:', error);
+    });
+  },
+  1000
+);
+
+// Keep the other tabs in sync
+window.addEventListener('storage', (event) => {
+  if (event.key !== STORAGE_KEY) return;
+
+  document.dispatchEvent(new WishlistUpdateEvent(Wishlist.getProducts(), 'storage'));
+});
+
+Wishlist.mergeCustomerProducts();
+
+/**
+ * A custom element that adds a product to the wishlist or removes it.
+ *
+ * @typedef {object} WishlistButtonRefs
+ * @property {HTMLButtonElement} button - The toggle button.
+ *
+ * @extends {Component<WishlistButtonRefs>}
+ */
+class WishlistButtonComponent extends Component {
+  requiredRefs = ['button'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.wishlistUpdate, this.#render);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.wishlistUpdate, this.#render);
+  }
+
+  /**
+   * Toggles the product in the wishlist.
+   * @param {Event} event - The click event.
+   */
+  toggle(event) {
+    // Product cards are links
+    event.preventDefault();
+    event.stopPropagation();
+
+    const { productId } = this.dataset;
+    if (!productId) return;
+
+    Wishlist.toggle(productId, this.id);
+  }
+
+  #render = () => {
+    const { productId } = this.dataset;
+    if (!productId) return;
+
+    this.refs.button.setAttribute('aria-pressed', String(Wishlist.has(productId)));
+  };
+}
+
+/**
+ * A custom element that displays the number of products in the wishlist.
+ *
+ * @typedef {object} WishlistIconRefs
+ * @property {HTMLElement} bubble - The bubble around the count.
+ * @property {HTMLElement} count - The count element.
+ *
+ * @extends {Component<WishlistIconRefs>}
+ */
+class WishlistIcon extends Component {
+  requiredRefs = ['bubble', 'count'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.wishlistUpdate, this.#render);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.wishlistUpdate, this.#render);
+  }
+
+  #render = () => {
+    const count = Wishlist.getProducts().length;
+
+    this.refs.count.textContent = count < 100 ? String(count) : '';
+    this.refs.bubble.hidden = count === 0;
+  };
+}
+
+/**
+ * A custom element that renders the products in the wishlist through the Section Rendering API.
+ *
+ * @typedef {object} WishlistPageRefs
+ * @property {HTMLElement} results - The container of the product cards.
+ *
+ * @extends {Component<WishlistPageRefs>}
+ */
+class WishlistPageComponent extends Component {
+  requiredRefs = ['results'];
+
+  /** @type {AbortController | null} */
+  #activeRender = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.wishlistUpdate, this.#render);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.wishlistUpdate, this.#render);
+    this.#activeRender?.abort();
+  }
+
+  #render = async () => {
+    // Only the latest wishlist is rendered, when products are toggled in quick succession
+    this.#activeRender?.abort();
+    const abortController = new AbortController();
+    this.#activeRender = abortController;
+
+    const products = Wishlist.getProducts();
+    this.toggleAttribute('data-empty', products.length === 0);
+
+    if (products.length === 0) {
+      this.refs.results.replaceChildren();
+      return;
+    }
+
+    const url = new URL(Theme.routes.search_url, location.origin);
+    url.searchParams.set('q', products.map((id) => `id:${id}`).join(' OR '));
+    url.searchParams.set('resources[type]', 'product');
+
+    try {
+      const sectionHTML = await sectionRenderer.getSectionHTML(RENDERING_SECTION_ID, false, url);
+      if (abortController.signal.aborted) return;
+
+      const newResults = new DOMParser().parseFromString(sectionHTML, 'text/html').querySelector('[ref="results"]');
+      if (newResults) morph(this.refs.results, newResults);
+    } catch (error) {
+      console.error('Failed to render the wishlist:', error);
+    }
+  };
+}
+
+if (!customElements.get('wishlist-button-component')) {
+  customElements.define('wishlist-button-component', WishlistButtonComponent);
+}
+
+if (!customElements.get('wishlist-icon')) {
+  customElements.define('wishlist-icon', WishlistIcon);
+}
+
+if (!customElements.get('wishlist-page-component')) {
+  customElements.define('wishlist-page-component', WishlistPageComponent);
+}
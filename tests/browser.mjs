@@ -0,0 +1,81 @@
+/**
+ * Installs the few browser globals the theme scripts use when they're imported, so they can run in Node.
+ * Import it before the theme scripts. Each worker thread gets globals of its own, like a tab.
+ */
+
+/**
+ * A `Storage` kept in memory
+ */
+export class MemoryStorage {
+  /** @type {Map<string, string>} */
+  #items = new Map();
+
+  getItem(key) {
+    return this.#items.get(key) ?? null;
+  }
+
+  setItem(key, value) {
+    this.#items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.#items.delete(key);
+  }
+
+  clear() {
+    this.#items.clear();
+  }
+}
+
+/**
+ * The Web Locks API, for the `ifAvailable` requests of the theme
+ */
+class LockManager {
+  /** @type {Set<string>} */
+  #held = new Set();
+
+  async request(name, options, callback) {
+    if (this.#held.has(name)) return callback(null);
+
+    this.#held.add(name);
+
+    try {
+      return await callback({ name, mode: 'exclusive' });
+    } finally {
+      this.#held.delete(name);
+    }
+  }
+}
+
+const window = new EventTarget();
+const document = new EventTarget();
+
+Object.assign(document, {
+  readyState: 'complete',
+  querySelector: () => null,
+  querySelectorAll: () => [],
+});
+
+Object.assign(globalThis, {
+  window,
+  document,
+  HTMLElement: class HTMLElement extends EventTarget {},
+  ResizeObserver: class ResizeObserver {},
+  customElements: { get: () => undefined, define() {} },
+  localStorage: new MemoryStorage(),
+  matchMedia: () => ({ matches: false, addEventListener() {}, removeEventListener() {} }),
+  Theme: {
+    routes: {
+      cart_url: '/cart',
+      cart_add_url: '/cart/add',
+      cart_change_url: '/cart/change',
+      cart_update_url: '/cart/update',
+    },
+    translations: {},
+  },
+});
+
+Object.defineProperty(globalThis, 'navigator', {
+  value: { onLine: true, languages: ['en'], locks: new LockManager() },
+  configurable: true,
+});
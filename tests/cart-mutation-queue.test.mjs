@@ -0,0 +1,75 @@
+// Run with `node --test tests/`
+import { register } from 'node:module';
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import './browser.mjs';
+
+register('./theme-loader.mjs', import.meta.url);
+
+const { CartMutationQueue } = await import('@theme/cart-mutation-queue');
+
+const STORAGE_KEY = 'cart-mutation-queue';
+
+/**
+ * Tells the tabs the queue was changed by another one, like browsers do
+ */
+function dispatchStorageEvent() {
+  window.dispatchEvent(Object.assign(new Event('storage'), { key: STORAGE_KEY }));
+}
+
+/**
+ * @param {string[]} sent - Collects the types of the mutations sent to the server
+ * @param {() => void} [whileSending] - Called while a mutation is sent
+ */
+function createSender(sent, whileSending) {
+  return async (type) => {
+    sent.push(type);
+    whileSending?.();
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    return { item_count: 1, items: [] };
+  };
+}
+
+describe('CartMutationQueue', () => {
+  beforeEach(() => localStorage.clear());
+
+  it('is replayed by one tab only', async () => {
+    /** @type {string[]} */
+    const sent = [];
+    const tab = new CartMutationQueue(createSender(sent));
+
+    tab.enqueue('add', { items: [{ id: 1, quantity: 1 }] });
+
+    // Opened while the mutation is queued
+    const otherTab = new CartMutationQueue(createSender(sent));
+
+    await Promise.all([tab.flush(), otherTab.flush()]);
+    dispatchStorageEvent();
+
+    assert.deepEqual(sent, ['add']);
+    assert.equal(localStorage.getItem(STORAGE_KEY), null);
+    assert.equal(otherTab.size, 0);
+  });
+
+  it('keeps the mutations another tab queues while it replays', async () => {
+    /** @type {string[]} */
+    const sent = [];
+    /** @type {CartMutationQueue | undefined} */
+    let otherTab;
+    const tab = new CartMutationQueue(
+      createSender(sent, () => {
+        if (sent.length === 1) otherTab?.enqueue('change', { id: '1:abc', quantity: 2 });
+      })
+    );
+    otherTab = new CartMutationQueue(createSender(sent));
+
+    tab.enqueue('add', { items: [{ id: 1, quantity: 1 }] });
+
+    await tab.flush();
+    dispatchStorageEvent();
+
+    assert.deepEqual(sent, ['add', 'change']);
+    assert.equal(localStorage.getItem(STORAGE_KEY), null);
+  });
+});
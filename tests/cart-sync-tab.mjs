@@ -0,0 +1,22 @@
+/**
+ * A tab of the store for the cart sync tests, run in a worker thread.
+ * Adds the carts it's sent to the cart, and sends back the cart updates it receives from other tabs.
+ */
+import { parentPort } from 'node:worker_threads';
+import { register } from 'node:module';
+import './browser.mjs';
+
+register('./theme-loader.mjs', import.meta.url);
+
+const { CartAddEvent, ThemeEvents } = await import('@theme/events');
+await import('@theme/cart-sync');
+
+document.addEventListener(ThemeEvents.cartUpdate, (event) => {
+  if (event.detail.sourceId === 'cart-sync') parentPort?.postMessage(event.detail.resource);
+});
+
+parentPort?.on('message', (cart) => {
+  document.dispatchEvent(new CartAddEvent(cart, 'product-form', { source: 'product-form-component' }));
+});
+
+parentPort?.postMessage('ready');
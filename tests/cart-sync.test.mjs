@@ -0,0 +1,36 @@
+// Run with `node --test tests/`
+import { Worker } from 'node:worker_threads';
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+/**
+ * Opens a tab of the store in a worker thread, they share broadcast channels like the tabs of a browser
+ * @returns {Promise<Worker>} The tab, once it's listening to the other tabs
+ */
+function openTab() {
+  const tab = new Worker(new URL('./cart-sync-tab.mjs', import.meta.url));
+
+  return new Promise((resolve, reject) => {
+    tab.once('message', () => resolve(tab));
+    tab.once('error', reject);
+  });
+}
+
+describe('cartSync', () => {
+  /** @type {Worker[]} */
+  const tabs = [];
+
+  after(() => Promise.all(tabs.map((tab) => tab.terminate())));
+
+  it('updates the other tabs when an item is added to the cart', { timeout: 5000 }, async () => {
+    const [tab, otherTab] = await Promise.all([openTab(), openTab()]);
+    tabs.push(tab, otherTab);
+
+    const cart = { item_count: 1, total_price: 1000, items: [{ key: '1:abc', id: 1, quantity: 1 }] };
+    const received = new Promise((resolve) => otherTab.once('message', resolve));
+
+    tab.postMessage(cart);
+
+    assert.deepEqual(await received, cart);
+  });
+});
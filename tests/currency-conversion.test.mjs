@@ -0,0 +1,97 @@
+// Run with `node --test tests/`
+import { register } from 'node:module';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+register('./theme-loader.mjs', import.meta.url);
+
+const { convertAmount, convertFormattedPrices, roundAmount } = await import('@theme/currency-conversion');
+
+const USD = { currency: 'USD', rate: 1, moneyFormat: '${{amount}}', moneyWithCurrencyFormat: '${{amount}} USD' };
+const EUR = {
+  currency: 'EUR',
+  rate: 0.9,
+  moneyFormat: '€{{amount_with_comma_separator}}',
+  moneyWithCurrencyFormat: '€{{amount_with_comma_separator}} EUR',
+};
+const JPY = {
+  currency: 'JPY',
+  rate: 150,
+  moneyFormat: '¥{{amount_no_decimals}}',
+  moneyWithCurrencyFormat: '¥{{amount_no_decimals}} JPY',
+};
+const CAD = { currency: 'CAD', rate: 1 };
+const GBP = { currency: 'GBP', rate: 0.8 };
+const DKK = { currency: 'DKK', rate: 6.9 };
+const KRW = { currency: 'KRW', rate: 1350 };
+const MXN = { currency: 'MXN', rate: 17.25 };
+
+/**
+ * The conversions, as [amount, from, to, converted amount], in minor units
+ * @type {[number, { currency: string, rate: number }, { currency: string, rate: number }, number][]}
+ */
+const CONVERSIONS = [
+  // Same currency, not rounded
+  [1999, USD, USD, 1999],
+  // Rounded up to the next .95
+  [1000, USD, EUR, 995],
+  [1999, USD, EUR, 1895],
+  [1000, USD, GBP, 895],
+  // Rounded up to the next .99
+  [900, EUR, USD, 1099],
+  [1500, JPY, USD, 1099],
+  // Already ending with .99
+  [1999, USD, CAD, 1999],
+  // Rounded up to the next 100 yen, between currencies with different decimals
+  [1000, USD, JPY, 1500],
+  [1, USD, JPY, 100],
+  // Rounded up to the next 5 kroner
+  [1000, USD, DKK, 7000],
+  // Rounded up to the next 1000 won
+  [1000, USD, KRW, 14000],
+  // No rule, rounded to minor units only
+  [1000, USD, MXN, 17250],
+  [0, USD, EUR, 0],
+];
+
+describe('convertAmount', () => {
+  for (const [amount, from, to, converted] of CONVERSIONS) {
+    it(`converts ${amount} ${from.currency} to ${converted} ${to.currency}`, () => {
+      assert.equal(convertAmount(amount, from, to), converted);
+    });
+  }
+});
+
+describe('roundAmount', () => {
+  it('rounds with the rules of the currency', () => {
+    assert.equal(roundAmount(1012, 'EUR'), 1095);
+    assert.equal(roundAmount(1234, 'JPY'), 1300);
+    assert.equal(roundAmount(1234, 'jpy'), 1300);
+  });
+
+  it('rounds to minor units the currencies without rules', () => {
+    assert.equal(roundAmount(1234.4, 'MXN'), 1234);
+  });
+});
+
+describe('convertFormattedPrices', () => {
+  it('converts the prices in a text, keeping the text around them', () => {
+    assert.equal(convertFormattedPrices('at $9.50/ea', USD, EUR), 'at €8,95/ea');
+  });
+
+  it('converts every price', () => {
+    assert.equal(convertFormattedPrices('$10.00 – $20.00', USD, EUR), '€9,95 – €18,95');
+  });
+
+  it('keeps the currency code of prices formatted with it', () => {
+    assert.equal(convertFormattedPrices('$1,000.00 USD', USD, JPY), '¥150,000 JPY');
+  });
+
+  it('converts to currencies with separators of their own', () => {
+    assert.equal(convertFormattedPrices('€1.234,56', EUR, USD), '$1,371.99');
+  });
+
+  it('keeps texts without prices', () => {
+    assert.equal(convertFormattedPrices('Sold out', USD, EUR), 'Sold out');
+  });
+});
@@ -0,0 +1,55 @@
+// Run with `node --test tests/`
+import { register } from 'node:module';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+register('./theme-loader.mjs', import.meta.url);
+
+const { convertMoneyToMinorUnits, formatLocalizedMoney, formatMoney } = await import('@theme/money-formatting');
+
+/**
+ * What the `money` liquid filters output for each placeholder, as [amount, currency, placeholder, output]
+ * @type {[number, string, string, string][]}
+ */
+const LIQUID_OUTPUTS = [
+  [123456789, 'USD', 'amount', '1,234,567.89'],
+  [123456789, 'USD', 'amount_no_decimals', '1,234,568'],
+  [123456789, 'EUR', 'amount_with_comma_separator', '1.234.567,89'],
+  [123456789, 'EUR', 'amount_no_decimals_with_comma_separator', '1.234.568'],
+  [123456789, 'CHF', 'amount_with_apostrophe_separator', "1'234'567.89"],
+  [123456789, 'SEK', 'amount_no_decimals_with_space_separator', '1 234 568'],
+  [123456789, 'EUR', 'amount_with_space_separator', '1 234 567,89'],
+  [123456789, 'EUR', 'amount_with_period_and_space_separator', '1 234 567.89'],
+  [1234567, 'JPY', 'amount', '1,234,567'],
+  [1234567, 'KWD', 'amount', '1,234.567'],
+  [5, 'USD', 'amount', '0.05'],
+];
+
+// Arabic is written right to left, Hindi groups digits differently
+const LOCALES = ['en', 'ar', 'hi'];
+
+describe('formatMoney', () => {
+  for (const [amount, currency, placeholder, output] of LIQUID_OUTPUTS) {
+    it(`formats {{ ${placeholder} }} like liquid, as ${output}`, () => {
+      assert.equal(formatMoney(amount, `{{ ${placeholder} }}`, currency), output);
+    });
+  }
+});
+
+describe('formatLocalizedMoney', () => {
+  for (const locale of LOCALES) {
+    for (const [amount, currency, placeholder, output] of LIQUID_OUTPUTS) {
+      it(`formats {{ ${placeholder} }} like liquid in ${locale} inputs, as ${output}`, () => {
+        const value = formatLocalizedMoney(amount, `{{ ${placeholder} }}`, currency, { locale, isolate: false });
+
+        assert.equal(value, output);
+        if (!placeholder.includes('no_decimals')) assert.equal(convertMoneyToMinorUnits(value, currency), amount);
+      });
+    }
+  }
+
+  it('isolates amounts in right to left text', () => {
+    assert.equal(formatLocalizedMoney(1050, '${{amount}}', 'USD', { locale: 'ar' }), '\u2066$10.50\u2069');
+    assert.equal(formatLocalizedMoney(1050, '${{amount}}', 'USD', { locale: 'en' }), '$10.50');
+  });
+});
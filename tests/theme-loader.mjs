@@ -0,0 +1,24 @@
+/**
+ * Resolves the `@theme/*` imports of the theme scripts like the import map of the theme does, so the scripts can
+ * be imported by the tests. The scripts are ES modules, without a package.json saying so.
+ */
+
+const assets = new URL('../assets/', import.meta.url);
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith('@theme/')) {
+    return {
+      url: new URL(`${specifier.slice('@theme/'.length)}.js`, assets).href,
+      format: 'module',
+      shortCircuit: true,
+    };
+  }
+
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(assets.href)) return nextLoad(url, { ...context, format: 'module' });
+
+  return nextLoad(url, context);
+}